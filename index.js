@@ -1,37 +1,86 @@
 'use strict';
 
-const async = require('async');
-
-const log = require('./lib/log');
+const EventEmitter = require('events');
+
+const adapters = require('./lib/adapters');
+const cluster = require('./lib/cluster');
+const ConnectionTracker = require('./lib/connection-tracker');
+const Logger = require('./lib/log');
+const invoke = require('./lib/invoke');
+const phases = require('./lib/phases');
+const HealthServer = require('./lib/health-server');
+const LivenessMonitor = require('./lib/liveness-monitor');
+const LoadShedder = require('./lib/load-shedder');
+const ReadinessProbe = require('./lib/readiness-probe');
+const StartupProbe = require('./lib/startup-probe');
+const checks = require('./lib/checks');
+const respond = require('./lib/respond');
+const Metrics = require('./lib/metrics').Metrics;
 const ServerKiller = require('./lib/server-shutdown');
+const threads = require('./lib/threads');
 
 const defaultSignals = ['SIGTERM'];
+const preStopReason = 'preStop';
 const defaultGracePeriodMilliseconds = 5 * 1000;
 const environmentGracePeriodMilliseconds = (process.env.SERVER_SHUTDOWN_GRACE_PERIOD_SECONDS
     ? parseInt(process.env.SERVER_SHUTDOWN_GRACE_PERIOD_SECONDS) * 1000 : undefined);
 
 
-let terminatedBy;
-let readinessCheckTasks;
-let checkingReadiness = false;
-let isReady = false;
+/** @type {Set<ServerGracefulShutdown>} enabled instances, backing the module level termination state */
+const enabledInstances = new Set();
+
+const killerEvents = ['gracePeriodStart', 'gracePeriodEnd', 'draining', 'drainProgress', 'drained', 'workDrained', 'finalizerStart', 'finalizerEnd',
+    'finalizerError', 'exit'];
+const readinessProbeEvents = ['readinessCheckEnd', 'ready', 'notReady'];
+const startupProbeEvents = ['startupCheckEnd', 'started', 'startupTimeout'];
+const livenessMonitorEvents = ['livenessFailed', 'livenessRecovered'];
 
 
-class ServerGracefulShutdown {
+/**
+ * emits "signal", "shutdown", "crash", "delayElapsed", "gracePeriodStart", "gracePeriodEnd", "draining", "drainProgress", "drained",
+ * "workDrained", "finalizerStart", "finalizerEnd", "finalizerError", "readinessCheckEnd", "ready", "notReady", "startupCheckEnd", "started",
+ * "startupTimeout", "livenessFailed", "livenessRecovered" and "exit"
+ */
+class ServerGracefulShutdown extends EventEmitter {
 
     /**
      *
-     * @param {net.Server}  server
-     * @param {{ signals, gracePeriodMilliseconds, readinessChecks, finalizers, delay, killer}} options
+     * @param {net.Server|Object}  server net.Server or a fastify, hapi or restify server
+     * @param {{ signals, gracePeriodMilliseconds, readinessChecks, finalizers, delay, killer,
+     *     finalizerTimeoutMilliseconds, drainTimeoutMilliseconds, shutdownTimeoutMilliseconds,
+     *     readinessCacheMilliseconds, readinessIntervalMilliseconds, readinessFailureThreshold, readinessSuccessThreshold,
+     *     healthServer, readinessReport, logger, logFormat, logLevel, servers,
+     *     exitCode, finalizerFailureExitCode, forcedExitCode, exitDelayMilliseconds, crashDrainTimeoutMilliseconds, crashWorkTimeoutMilliseconds,
+     *     crashTimeoutMilliseconds, crashExitCode,
+     *     destroySocketsOnDrainTimeout, drainProgressIntervalMilliseconds, drainHandlers, longLivedTimeoutMilliseconds,
+     *     startupChecks, startupTimeoutMilliseconds, startupIntervalMilliseconds, startupTimeoutExitCode, liveness,
+     *     loadShedding, workTimeoutMilliseconds}} options
      */
     constructor(server, options) {
+        super();
+
         options = options || {};
 
         ServerGracefulShutdown.ensureOptions(options);
 
-        /** {net.Server} */
+        /** @type {string|undefined} signal that terminated the service */
+        this.terminatedBy = undefined;
+
+        /** @type {{signal, listener}[]} process signal listeners installed by enable */
+        this.signalListeners = [];
+
+        /** @type {string|undefined} signal forwarded by the cluster primary, expected to reach the worker itself as well */
+        this.forwardedSignal = undefined;
+
+        /** {net.Server} main server, passed to the finalizers */
         this.server = server;
 
+        /** @type {{name, server, order}[]} servers drained on shutdown */
+        this.servers = [{name: 'main', server: server, order: 0}];
+
+        /** @type {Logger} */
+        this.log = options.log;
+
         /** @type {Number} delay in milliseconds allowing kubernetes to take service from out of the routing table */
         this.gracePeriodMilliseconds = options.gracePeriodMilliseconds;
 
@@ -44,83 +93,337 @@ class ServerGracefulShutdown {
         /** @type {Function[]} functions to be executed at the end of the graceful sequence */
         this.shutdownFinalizers = [];
 
-        /** @type {Function[]} functions to be executed at startup to check the readiness */
+        /** @type {Map<string, {phase, dependsOn}>} execution order of the finalizers by name */
+        this.finalizerOrders = new Map();
+
+        /** @type {Function[]} functions notified when draining starts, closing long-lived connections */
+        this.drainHandlers = [];
+
+        /** @type {Function[]} functions to be executed to check the readiness */
         this.readinessChecks = [];
 
-        // register shutdown finalizers provided per option
-        options.finalizers.forEach(this.addFinalizer.bind(this));
+        /** @type {ReadinessProbe} evaluates the readiness checks */
+        this.readinessProbe = new ReadinessProbe({
+            checks: this.readinessChecks,
+            cacheMilliseconds: options.readinessCacheMilliseconds,
+            intervalMilliseconds: options.readinessIntervalMilliseconds,
+            failureThreshold: options.readinessFailureThreshold,
+            successThreshold: options.readinessSuccessThreshold,
+            log: this.log,
+        });
+
+        /** @type {Function[]} one-time startup conditions, the readiness checks are used if empty */
+        this.startupChecks = [];
+
+        /** @type {StartupProbe} evaluates the startup checks */
+        this.startupProbe = new StartupProbe({
+            checks: this.startupChecks,
+            timeoutMilliseconds: options.startupTimeoutMilliseconds,
+            intervalMilliseconds: options.startupIntervalMilliseconds,
+            log: this.log,
+        });
+
+        /** @type {Number} exit code when the startup did not complete within startupTimeoutMilliseconds */
+        this.startupTimeoutExitCode = options.startupTimeoutExitCode === undefined ? 124 : options.startupTimeoutExitCode;
+
+        /** @type {string} "text" for a READY / NOT-READY readiness body, "json" for a detailed health report */
+        this.readinessReport = options.readinessReport;
+
+        // forward the shutdown sequence and readiness transitions
+        killerEvents.forEach(event => this.killer.on(event, data => this.emit(event, data)));
+        readinessProbeEvents.forEach(event => this.readinessProbe.on(event, data => this.emit(event, data)));
+
+        /** @type {boolean} true as soon as the startup checks, or the readiness checks if there are none, passed once */
+        this.started = false;
+
+        this.startupProbe.on('started', () => this.started = true);
+        startupProbeEvents.forEach(event => this.startupProbe.on(event, data => this.emit(event, data)));
+        this.startupProbe.on('startupTimeout', () => process.exit(this.startupTimeoutExitCode));
+
+        // without startup checks the startup completes with the first readiness
+        this.readinessProbe.on('ready', () => {
+            if (this.startupChecks.length === 0) {
+                this.startupProbe.complete();
+            }
+        });
+
+        /** @type {boolean} true once the grace period of the shutdown sequence is over */
+        this.gracePeriodEnded = false;
+        this.killer.on('gracePeriodEnd', () => this.gracePeriodEnded = true);
+
+        /** @type {HealthServer|undefined} dedicated server for the probe routes */
+        this.healthServer = options.healthServer === undefined ? undefined : new HealthServer(this, options.healthServer, this.log);
+
+        /** @type {LivenessMonitor} fails the liveness once an event-loop delay or memory threshold is exceeded for a sustained window */
+        this.livenessMonitor = new LivenessMonitor(options.liveness, this.log);
+
+        livenessMonitorEvents.forEach(event => this.livenessMonitor.on(event, data => this.emit(event, data)));
+
+        /** @type {LoadShedder|undefined} answers requests arriving during the shutdown with 503, opt-in */
+        this.loadShedder = options.loadShedding === undefined ? undefined : new LoadShedder(options.loadShedding);
+
+        /** @type {Number|undefined} timestamp of the termination */
+        this.terminatedAt = undefined;
+
+        // probe handlers are passed around as route handlers
+        this.liveliness = this.liveliness.bind(this);
+        this.readiness = this.readiness.bind(this);
+        this.startup = this.startup.bind(this);
+        this.preStop = this.preStop.bind(this);
+
+        // register shutdown finalizers provided per option, either as function or as {finalizer, phase, dependsOn}
+        options.finalizers.forEach(finalizer => {
+            if (finalizer !== null && typeof finalizer === 'object') {
+                this.addFinalizer(finalizer.finalizer, finalizer);
+                return;
+            }
+
+            this.addFinalizer(finalizer);
+        });
 
         // register readiness checks provided per option
         options.readinessChecks.forEach(this.addReadinessCheck.bind(this));
+
+        // register startup checks provided per option
+        options.startupChecks.forEach(this.addStartupCheck.bind(this));
+
+        // register drain handlers provided per option
+        options.drainHandlers.forEach(this.addDrainHandler.bind(this));
+
+        // register additional servers provided per option as {name, server, order}
+        options.servers.forEach(entry => this.addServer(entry.server, entry));
     }
 
     liveliness(request, response) {
-        response.send(200,'OK');
+        this.probeStatus('liveness', respond.send.bind(null, response));
     }
 
     readiness(request, response) {
-        if (isReady === true) {
-            // only run readiness checks at startup
-            request.send(200, 'READY');
+        this.probeStatus('readiness', respond.send.bind(null, response));
+    }
+
+    startup(request, response) {
+        this.probeStatus('startup', respond.send.bind(null, response));
+    }
+
+    preStop(request, response) {
+        this.probeStatus('preStop', respond.send.bind(null, response));
+    }
+
+    /**
+     *
+     * @param {string}   probe "liveness", "readiness", "startup" or "preStop"
+     * @param {function} callback called with "statusCode" and "body" of the probe response
+     */
+    probeStatus(probe, callback) {
+        if (probe === 'liveness') {
+            // after an uncaught error the process state is unreliable, let the kubelet restart it if the exit hangs
+            if (this.killer.crashed === true) {
+                callback(503, 'NOT-OK: crashed');
+                return;
+            }
+
+            const reason = this.livenessMonitor.status();
+
+            if (reason !== undefined) {
+                callback(503, 'NOT-OK: ' + reason);
+                return;
+            }
+
+            callback(200, 'OK');
+            return;
+        }
+
+        if (probe === 'preStop') {
+            this.preStopHook((error) => {
+                if (error !== undefined) {
+                    callback(500, 'ERROR');
+                    return;
+                }
+
+                callback(200, 'STOPPING');
+            });
+            return;
+        }
+
+        if (probe === 'startup') {
+            this.checkStartup((error) => {
+                if (error !== undefined) {
+                    callback(503, 'NOT-STARTED');
+                    return;
+                }
+
+                callback(200, 'STARTED');
+            });
             return;
         }
 
-        if (isTerminated() === true) {
+        const reply = (statusCode, status) => {
+            callback(statusCode, this.readinessReport === 'json' ? this.healthReport() : status);
+        };
+
+        if (this.isTerminated() === true) {
             // service has been terminated by an external signal
             // this condition is mandatory
-            request.send(503, 'NOT-READY');
+            reply(503, 'NOT-READY');
+            return;
+        }
+
+        if (this.started === false && this.startupChecks.length > 0) {
+            // readiness is only reported once the startup completed
+            this.checkStartup((error) => {
+                if (error !== undefined) {
+                    reply(503, 'NOT-READY');
+                    return;
+                }
+
+                this.probeStatus(probe, callback);
+            });
             return;
         }
 
         this.checkReadiness((error) => {
             if (error !== undefined) {
-                response.send(503, 'NOT-READY');
+                reply(503, 'NOT-READY');
                 return;
             }
 
-            request.send(200, 'READY');
+            reply(200, 'READY');
         });
     }
 
-    checkReadiness(callback) {
-        if (checkingReadiness === true) {
-            callback(new Error('already checking readiness'));
-            return;
-        }
+    /**
+     * reports the last result of each readiness check along with the shutdown state, without running the checks
+     *
+     * @returns {{status: string, started: boolean, terminatedBy: string|null, checks: {name, status, error, durationMilliseconds, lastRunAt}[]}}
+     */
+    healthReport() {
+        // the readiness is only reported once the startup completed
+        const started = this.started === true || this.startupChecks.length === 0;
+
+        return {
+            status: this.isTerminated() === false && started === true && this.readinessProbe.ready === true ? 'READY' : 'NOT-READY',
+            started: started,
+            terminatedBy: this.isTerminated() === true ? this.isTerminatedBy() : null,
+            checks: this.readinessProbe.report(),
+        };
+    }
 
-        checkingReadiness = true;
+    /**
+     * starts the shutdown sequence for a kubernetes preStop hook, the readiness route reports NOT-READY at once.
+     * calls back once the grace period is over, the SIGTERM sent by kubernetes afterwards is ignored.
+     *
+     * @param {function} [callback] returns a Promise if omitted
+     *
+     * @returns {Promise|undefined}
+     */
+    preStopHook(callback) {
+        return invoke.callbackOrPromise((cb) => {
+            if (!enabledInstances.has(this)) {
+                cb(new Error('server graceful shutdown not enabled'));
+                return;
+            }
 
-        if (readinessCheckTasks === undefined) {
-            readinessCheckTasks = this.readinessChecks.map(check => {
-                return function (cb) {
-                    log.info('running readiness check "' + check.name + '"')
-                    check(cb);
-                };
-            });
-        }
+            if (this.isTerminated() === false) {
+                this.log.info({event: 'preStop'}, 'preStop hook called');
+                this.shutdown(preStopReason, () => {});
+            }
+
+            // the shortened sequence after an uncaught error has no grace period
+            if (this.gracePeriodEnded === true || this.killer.crashed === true) {
+                cb();
+                return;
+            }
+
+            this.killer.once('gracePeriodEnd', () => cb());
+        }, callback);
+    }
+
+    /**
+     * provides the probe route handlers with the response API of the given framework
+     *
+     * @param {string} [framework] "http", "restify", "express", "koa", "fastify" or "hapi", detected from the server if omitted
+     *
+     * @returns {{liveness: function, readiness: function, startup: function, preStop: function}}
+     */
+    probeHandlers(framework) {
+        const adapter = framework === undefined ? adapters.detect(this.server) : adapters.get(framework);
+
+        return {
+            liveness: adapter.handler(this.probeStatus.bind(this, 'liveness')),
+            readiness: adapter.handler(this.probeStatus.bind(this, 'readiness')),
+            startup: adapter.handler(this.probeStatus.bind(this, 'startup')),
+            preStop: adapter.handler(this.probeStatus.bind(this, 'preStop')),
+        };
+    }
 
-        log.info('server start up: readiness checks all executed');
-        async.parallel(readinessCheckTasks, (error) => {
-            checkingReadiness = false;
+    /**
+     * reports the startup as completed once the startup checks passed, or the readiness checks if there are no startup checks
+     *
+     * @param {function} [callback] returns a Promise if omitted
+     *
+     * @returns {Promise|undefined}
+     */
+    checkStartup(callback) {
+        return invoke.callbackOrPromise((cb) => {
+            if (this.started === true) {
+                cb();
+                return;
+            }
 
-            if (error !== null && error !== undefined) {
-                log.info('server start up: readiness checks failed with error: ' + error.stack || error);
-                callback(error);
+            if (this.startupChecks.length > 0) {
+                this.startupProbe.check(cb);
                 return;
             }
 
-            log.info('server start up: readiness checks all executed');
-            isReady = true;
-            callback();
-        });
+            this.readinessProbe.check((error) => {
+                if (error === undefined) {
+                    this.startupProbe.complete();
+                }
+
+                cb(error);
+            });
+        }, callback);
     }
 
     /**
+     * reports the readiness, reusing the last result within the readiness cache duration
+     *
+     * @param {function} [callback] returns a Promise if omitted
      *
-     * @param {Function} fn function to be executed on shutdown taking "server" and "callback" arguments and returning an error or undefined
+     * @returns {Promise|undefined}
      */
-    addFinalizer(fn) {
-        addFunction(fn, this.shutdownFinalizers);
+    checkReadiness(callback) {
+        return invoke.callbackOrPromise(this.readinessProbe.check.bind(this.readinessProbe), callback);
+    }
+
+    /**
+     * runs the readiness checks right away, regardless of the readiness cache
+     *
+     * @param {function} [callback] returns a Promise if omitted
+     *
+     * @returns {Promise|undefined}
+     */
+    refreshReadiness(callback) {
+        return invoke.callbackOrPromise(this.readinessProbe.run.bind(this.readinessProbe), callback);
+    }
+
+    /**
+     *
+     * @param {Function} fn function to be executed on shutdown taking "server" and "callback" arguments and returning an error or undefined,
+     *                      or taking "server" and returning a Promise
+     * @param {{phase, dependsOn, skipOnCrash}} [order] phases run one after another in ascending order (default: 0),
+     *                      a finalizer runs after all the already registered finalizers named in dependsOn,
+     *                      skipOnCrash leaves it out of the shutdown after an uncaught error (default: false)
+     */
+    addFinalizer(fn, order) {
+        ensureFunction(fn);
+
+        if (this.finalizerOrders.has(fn.name) === false) {
+            this.finalizerOrders.set(fn.name, phases.ensureOrder(fn.name, order, this.finalizerOrders));
+        }
+
+        addFunction(fn, this.shutdownFinalizers, this.log);
     }
 
     /**
@@ -134,10 +437,21 @@ class ServerGracefulShutdown {
 
     /**
      *
-     * @param {Function} fn function to be executed on startup taking "server" and "callback" arguments and returning an error or undefined
+     * @param {boolean} [crash] leaves out the finalizers to be skipped after an uncaught error
+     *
+     * @returns {Function[][]} returns registered finalizer functions grouped by execution phase
+     */
+    listFinalizerPhases(crash) {
+        return phases.resolve(this.shutdownFinalizers, this.finalizerOrders, crash);
+    }
+
+    /**
+     *
+     * @param {Function} fn function to be executed on startup taking a "callback" argument and returning an error or undefined,
+     *                      or returning a Promise
      */
     addReadinessCheck(fn) {
-        addFunction(fn, this.readinessChecks);
+        addFunction(fn, this.readinessChecks, this.log);
     }
 
     /**
@@ -149,13 +463,367 @@ class ServerGracefulShutdown {
         return [].concat(this.readinessChecks);
     }
 
+    /**
+     *
+     * @param {Function} fn one-time startup condition taking a "callback" argument and returning an error or undefined,
+     *                      or returning a Promise, e.g. migrations done or cache warmed
+     */
+    addStartupCheck(fn) {
+        addFunction(fn, this.startupChecks, this.log);
+    }
+
+    /**
+     *
+     * @returns {Function[]} returns registered startup check functions
+     */
+    listStartupChecks() {
+        // return a copy of the startup check array
+        return [].concat(this.startupChecks);
+    }
+
+    /**
+     *
+     * @param {Function} fn function notified when draining starts taking "server" and "callback" arguments, or taking "server"
+     *                      and returning a Promise, e.g. to send a WebSocket close frame with code 1001 or a SSE retry hint.
+     *                      WebSocket and SSE connections still open after longLivedTimeoutMilliseconds are destroyed
+     */
+    addDrainHandler(fn) {
+        addFunction(fn, this.drainHandlers, this.log);
+    }
+
+    /**
+     *
+     * @returns {Function[]} returns registered drain handlers
+     */
+    listDrainHandlers() {
+        // return a copy of the drain handler array
+        return [].concat(this.drainHandlers);
+    }
+
+    /**
+     * the shutdown sequence waits for the given promise once the connections are drained, at most workTimeoutMilliseconds
+     *
+     * @param {Promise} promise e.g. a queue message being processed or fire-and-forget work started by a request
+     * @param {string}  [name] logged if the work is still pending when the work timeout is exceeded
+     *
+     * @returns {Promise} settling like the given promise once the task ended, its rejection may be left unhandled
+     */
+    track(promise, name) {
+        return this.killer.workTracker.track(promise, name);
+    }
+
+    /**
+     * the shutdown sequence waits until "end()" of the returned token is called, at most workTimeoutMilliseconds
+     *
+     * @param {string} [name] logged if the work is still pending when the work timeout is exceeded
+     *
+     * @returns {{name, end: function}} token
+     */
+    begin(name) {
+        return this.killer.workTracker.begin(name);
+    }
+
+    /**
+     *
+     * @returns {boolean}
+     */
+    isTerminated() {
+        return this.terminatedBy !== undefined;
+    }
+
+    /**
+     *
+     * @returns {undefined,string}
+     */
+    isTerminatedBy() {
+        return this.terminatedBy;
+    }
+
+    /**
+     * installs the process signal listeners starting the graceful shutdown sequence
+     *
+     * @param {string[]} signals
+     */
+    handleSignals(signals) {
+        signals.forEach(signal => {
+            const listener = () => {
+                if (this.isTerminatedBy() === preStopReason) {
+                    this.log.info({event: 'signal', signal: signal}, 'received signal %s - shutdown already started by preStop hook', signal);
+                    return;
+                }
+
+                // a second signal still forces the exit
+                if (this.forwardedSignal === signal) {
+                    this.forwardedSignal = undefined;
+                    this.log.info({event: 'signal', signal: signal}, 'received signal %s - shutdown already started by the cluster primary', signal);
+                    return;
+                }
+
+                if (this.isTerminated() === true) {
+                    this.log.warn({event: 'signal', signal: signal}, 'force exit');
+                    process.exit(this.killer.forcedExitCode);
+                }
+
+                this.log.info({event: 'signal', signal: signal}, 'received signal %s', signal);
+                this.shutdown(signal, () => {});
+
+                this.emit('signal', {signal: signal, delayMilliseconds: this.delay});
+            };
+
+            process.on(signal, listener);
+            this.signalListeners.push({signal: signal, listener: listener});
+        });
+
+        enabledInstances.add(this);
+    }
+
+    /**
+     * starts the graceful shutdown sequence independent of a process signal, e.g. on a fatal error,
+     * an admin endpoint or a lost leader lock. the readiness route reports NOT-READY from now on.
+     * a shutdown already in progress is kept, the call is logged and calls back at once without report.
+     *
+     * @param {string}   reason reported by isTerminatedBy()
+     * @param {function} [callback] returns a Promise if omitted, called with the shutdown report {servers: drain results}
+     *
+     * @returns {Promise|undefined}
+     */
+    shutdown(reason, callback) {
+        return invoke.callbackOrPromise((cb) => {
+            if (typeof reason !== 'string' || reason === '') {
+                cb(new TypeError('shutdown reason has to be a non empty string'));
+                return;
+            }
+
+            if (!enabledInstances.has(this)) {
+                cb(new Error('server graceful shutdown not enabled'));
+                return;
+            }
+
+            if (this.isTerminated() === true) {
+                // fire-and-forget callers, e.g. a lost lock released by a finalizer, must not turn it into an unhandled rejection
+                this.log.warn({event: 'shutdown', reason: reason}, 'shutdown already in progress, terminated by %s', this.terminatedBy);
+                cb();
+                return;
+            }
+
+            this.terminatedBy = reason;
+            this.terminatedAt = Date.now();
+
+            this.log.info({event: 'shutdown', reason: reason}, 'shutdown requested by %s', reason);
+            this.emit('shutdown', {reason: reason, delayMilliseconds: this.delay});
+
+            setTimeout(() => {
+                this.emit('delayElapsed', {signal: reason, reason: reason, delayMilliseconds: this.delay});
+                this.terminate(reason, (error, report) => {
+                    this.log.info({event: 'terminated', reason: reason}, 'ready to die...');
+                    cb(error, report);
+                });
+            }, this.delay);
+        }, callback);
+    }
+
+    /**
+     * installs the process listeners running the shortened shutdown sequence on uncaught exceptions and unhandled rejections
+     */
+    handleUncaughtErrors() {
+        ['uncaughtException', 'unhandledRejection'].forEach(origin => {
+            const listener = (error) => {
+                this.crash(error, origin, () => {});
+            };
+
+            process.on(origin, listener);
+            this.signalListeners.push({signal: origin, listener: listener});
+        });
+
+        enabledInstances.add(this);
+    }
+
+    /**
+     * installs the process message listener starting the graceful shutdown sequence when asked by the cluster primary
+     */
+    handleShutdownMessages() {
+        const listener = (message) => {
+            if (message === null || typeof message !== 'object' || message.type !== cluster.shutdownMessage) {
+                return;
+            }
+
+            // the signal sent to the whole process group, e.g. by Kubernetes, may reach the worker after the message
+            if (this.isTerminated() === false) {
+                this.forwardedSignal = message.reason;
+            }
+
+            // the worker may have received the signal itself already, e.g. on Ctrl-C
+            this.shutdown(message.reason, () => {});
+        };
+
+        process.on('message', listener);
+        this.signalListeners.push({signal: 'message', listener: listener});
+
+        enabledInstances.add(this);
+    }
+
+    /**
+     * runs the shortened shutdown sequence after an uncaught error: the readiness route reports NOT-READY,
+     * there is no grace period, the connection draining is limited by crashDrainTimeoutMilliseconds, the wait for the tracked work
+     * by crashWorkTimeoutMilliseconds,
+     * finalizers registered with skipOnCrash are left out and the process exits with crashExitCode,
+     * at the latest once crashTimeoutMilliseconds elapsed
+     *
+     * @param {*}        error
+     * @param {string}   origin reported by isTerminatedBy(), e.g. "uncaughtException"
+     * @param {function} [callback] returns a Promise if omitted, called with the shutdown report {servers: drain results}
+     *
+     * @returns {Promise|undefined}
+     */
+    crash(error, origin, callback) {
+        return invoke.callbackOrPromise((cb) => {
+            if (!enabledInstances.has(this)) {
+                cb(new Error('server graceful shutdown not enabled'));
+                return;
+            }
+
+            this.log.error({event: 'crash', origin: origin}, '%s: %s', origin, (error && error.stack) || error);
+            this.emit('crash', {error: error, origin: origin});
+
+            if (this.isTerminated() === true) {
+                // the running shutdown sequence goes on but ends with the crash exit code, at the latest on the crash deadline
+                this.killer.markCrashed(this.terminatedBy);
+                cb();
+                return;
+            }
+
+            this.terminatedBy = origin;
+            this.terminatedAt = Date.now();
+            this.readinessProbe.stop();
+            this.startupProbe.stop();
+
+            this.killer.crashShutdown(this.listServers(), origin, this.listFinalizerPhases(true), this.listDrainHandlers(), (error, report) => {
+                this.log.info({event: 'terminated', reason: origin}, 'ready to die...');
+                cb(error, report);
+            });
+        }, callback);
+    }
+
+    /**
+     * removes the process signal listeners installed by enable, stops the background readiness checks and the check histograms
+     * and closes the health server
+     *
+     * @param {function} [callback] returns a Promise if omitted
+     *
+     * @returns {Promise|undefined}
+     */
+    dispose(callback) {
+        return invoke.callbackOrPromise((cb) => {
+            this.signalListeners.forEach(entry => process.removeListener(entry.signal, entry.listener));
+            this.signalListeners = [];
+
+            enabledInstances.delete(this);
+
+            this.readinessProbe.stop();
+            this.startupProbe.stop();
+            this.livenessMonitor.stop();
+
+            // e.g. the histogram of an eventLoopLag check
+            this.readinessChecks.concat(this.startupChecks).filter(check => typeof check.stop === 'function').forEach(check => check.stop());
+
+            if (this.healthServer === undefined || this.healthServer.server.listening === false) {
+                cb();
+                return;
+            }
+
+            this.healthServer.close(() => cb());
+        }, callback);
+    }
+
+    /**
+     * clears the termination and readiness state, keeping the registered finalizers, checks and servers
+     */
+    reset() {
+        this.terminatedBy = undefined;
+        this.terminatedAt = undefined;
+        this.forwardedSignal = undefined;
+        this.gracePeriodEnded = false;
+        this.killer.resetCrash();
+        this.started = false;
+        this.readinessProbe.reset();
+        this.startupProbe.reset();
+    }
+
+    /**
+     * registers an additional server, sharing the signal handling and the grace period of the main server
+     *
+     * @param {net.Server|Object} server net.Server or a fastify, hapi or restify server
+     * @param {{name, order}} options servers are drained in ascending order (default: 0), servers of the same order in parallel
+     */
+    addServer(server, options) {
+        options = options || {};
+
+        const order = options.order === undefined ? 0 : options.order;
+
+        if (typeof options.name !== 'string' || options.name === '') {
+            throw new TypeError('server name has to be a non empty string');
+        }
+
+        if (this.servers.some(entry => entry.name === options.name)) {
+            throw new Error('server "' + options.name + '" already registered');
+        }
+
+        if (!Number.isInteger(order)) {
+            throw new TypeError('order of server "' + options.name + '" has to be an integer');
+        }
+
+        prepareServer(adapters.netServer(server));
+        this.shedLoad(adapters.netServer(server));
+
+        this.servers.push({name: options.name, server: server, order: order});
+    }
+
+    /**
+     * answers the requests of the server with 503 once terminated, if the loadShedding option is set
+     *
+     * @param {net.Server} serv
+     */
+    shedLoad(serv) {
+        if (this.loadShedder !== undefined) {
+            this.loadShedder.install(serv, () => this.terminatedAt);
+        }
+    }
+
+    /**
+     *
+     * @returns {{name, server, order}[]} returns registered servers, starting with the main server
+     */
+    listServers() {
+        return this.servers.map(entry => Object.assign({}, entry));
+    }
+
+    /**
+     *
+     * @param {string}     signal
+     * @param {function} [callback] returns a Promise if omitted, called with the shutdown report {servers: drain results}
+     *
+     * @returns {Promise|undefined}
+     */
     terminate(signal, callback) {
-        this.killer.gracefulShutdown(this.server, signal, this.listFinalizers(), callback);
+        this.readinessProbe.stop();
+        this.startupProbe.stop();
+
+        return invoke.callbackOrPromise((cb) => {
+            this.killer.gracefulShutdown(this.listServers(), signal, this.listFinalizerPhases(), this.listDrainHandlers(), cb);
+        }, callback);
     }
 
     /**
      *
-     * @param {{ signals, gracePeriodMilliseconds, readinessChecks, finalizers, delay, killer}} options
+     * @param {{ signals, gracePeriodMilliseconds, readinessChecks, finalizers, delay, killer,
+     *     finalizerTimeoutMilliseconds, drainTimeoutMilliseconds, shutdownTimeoutMilliseconds,
+     *     readinessCacheMilliseconds, readinessIntervalMilliseconds, readinessFailureThreshold, readinessSuccessThreshold,
+     *     healthServer, readinessReport, logger, logFormat, logLevel, servers,
+     *     exitCode, finalizerFailureExitCode, forcedExitCode, exitDelayMilliseconds, crashDrainTimeoutMilliseconds, crashWorkTimeoutMilliseconds,
+     *     crashTimeoutMilliseconds, crashExitCode,
+     *     destroySocketsOnDrainTimeout, drainProgressIntervalMilliseconds, drainHandlers, longLivedTimeoutMilliseconds,
+     *     startupChecks, startupTimeoutMilliseconds, startupIntervalMilliseconds, startupTimeoutExitCode, liveness,
+     *     loadShedding, workTimeoutMilliseconds}} options
      */
     static ensureOptions(options) {
 
@@ -170,6 +838,43 @@ class ServerGracefulShutdown {
             options.gracePeriodMilliseconds = environmentGracePeriodMilliseconds;
         }
 
+        [
+            'finalizerTimeoutMilliseconds',
+            'drainTimeoutMilliseconds',
+            'shutdownTimeoutMilliseconds',
+            'readinessCacheMilliseconds',
+            'readinessIntervalMilliseconds',
+            'exitDelayMilliseconds',
+            'crashDrainTimeoutMilliseconds',
+            'crashWorkTimeoutMilliseconds',
+            'crashTimeoutMilliseconds',
+            'drainProgressIntervalMilliseconds',
+            'longLivedTimeoutMilliseconds',
+            'startupTimeoutMilliseconds',
+            'startupIntervalMilliseconds',
+            'workTimeoutMilliseconds',
+        ].forEach(name => {
+            if (options[name] !== undefined && (typeof options[name] !== 'number' || options[name] < 0)) {
+                throw new TypeError(name + ' option has to be a positive number');
+            }
+        });
+
+        ['readinessFailureThreshold', 'readinessSuccessThreshold'].forEach(name => {
+            if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 1)) {
+                throw new TypeError(name + ' option has to be an integer greater than 0');
+            }
+        });
+
+        ['exitCode', 'finalizerFailureExitCode', 'forcedExitCode', 'crashExitCode', 'startupTimeoutExitCode'].forEach(name => {
+            if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 0 || options[name] > 255)) {
+                throw new TypeError(name + ' option has to be an integer between 0 and 255');
+            }
+        });
+
+        if (options.destroySocketsOnDrainTimeout !== undefined && typeof options.destroySocketsOnDrainTimeout !== 'boolean') {
+            throw new TypeError('destroySocketsOnDrainTimeout option has to be a boolean');
+        }
+
         if (options.finalizers === undefined) {
             options.finalizers = [];
         }
@@ -186,9 +891,77 @@ class ServerGracefulShutdown {
             throw new TypeError('readinessChecks options has to be an array of Functions');
         }
 
+        if (options.startupChecks === undefined) {
+            options.startupChecks = [];
+        }
+
+        if (options.startupChecks.constructor !== Array) {
+            throw new TypeError('startupChecks options has to be an array of Functions');
+        }
+
+        if (options.drainHandlers === undefined) {
+            options.drainHandlers = [];
+        }
+
+        if (options.drainHandlers.constructor !== Array) {
+            throw new TypeError('drainHandlers options has to be an array of Functions');
+        }
+
+        if (options.readinessReport === undefined) {
+            options.readinessReport = 'text';
+        }
+
+        if (['text', 'json'].indexOf(options.readinessReport) === -1) {
+            throw new TypeError('readinessReport option has to be "text" or "json"');
+        }
+
+        if (options.servers === undefined) {
+            options.servers = [];
+        }
+
+        if (options.servers.constructor !== Array) {
+            throw new TypeError('servers option has to be an array of {name, server, order}');
+        }
+
+        if (options.healthServer !== undefined && (options.healthServer === null || typeof options.healthServer !== 'object')) {
+            throw new TypeError('healthServer option has to be an object');
+        }
+
+        if (options.liveness !== undefined && (options.liveness === null || typeof options.liveness !== 'object')) {
+            throw new TypeError('liveness option has to be an object');
+        }
+
+        if (options.loadShedding !== undefined && (options.loadShedding === null || typeof options.loadShedding !== 'object')) {
+            throw new TypeError('loadShedding option has to be an object');
+        }
+
+        Logger.ensureOptions(options);
+
+        options.log = new Logger({
+            logger: options.logger,
+            format: options.logFormat,
+            level: options.logLevel,
+        });
+
         if (options.killer === undefined) {
             options.killer = new ServerKiller({
                 gracePeriodMilliseconds: options.gracePeriodMilliseconds,
+                finalizerTimeoutMilliseconds: options.finalizerTimeoutMilliseconds,
+                drainTimeoutMilliseconds: options.drainTimeoutMilliseconds,
+                shutdownTimeoutMilliseconds: options.shutdownTimeoutMilliseconds,
+                exitCode: options.exitCode,
+                finalizerFailureExitCode: options.finalizerFailureExitCode,
+                forcedExitCode: options.forcedExitCode,
+                exitDelayMilliseconds: options.exitDelayMilliseconds,
+                crashDrainTimeoutMilliseconds: options.crashDrainTimeoutMilliseconds,
+                crashWorkTimeoutMilliseconds: options.crashWorkTimeoutMilliseconds,
+                crashTimeoutMilliseconds: options.crashTimeoutMilliseconds,
+                crashExitCode: options.crashExitCode,
+                destroySocketsOnDrainTimeout: options.destroySocketsOnDrainTimeout,
+                drainProgressIntervalMilliseconds: options.drainProgressIntervalMilliseconds,
+                longLivedTimeoutMilliseconds: options.longLivedTimeoutMilliseconds,
+                workTimeoutMilliseconds: options.workTimeoutMilliseconds,
+                log: options.log,
             });
         }
 
@@ -202,9 +975,8 @@ class ServerGracefulShutdown {
 /**
  *
  * @param {Function} fn
- * @param {Function[]} collection
  */
-function addFunction(fn, collection) {
+function ensureFunction(fn) {
     if (typeof fn !== 'function') {
         throw new TypeError('provided function has to have "server" and "callback" arguments');
     }
@@ -212,11 +984,21 @@ function addFunction(fn, collection) {
     if (fn.name === '' || fn.name === undefined) {
         throw new TypeError('provided function has to be a named function');
     }
+}
+
+/**
+ *
+ * @param {Function} fn
+ * @param {Function[]} collection
+ * @param {Logger} log
+ */
+function addFunction(fn, collection, log) {
+    ensureFunction(fn);
 
     let hasADuplicate = collection.some(finalizer => fn.name === finalizer.name);
 
     if (hasADuplicate === true) {
-        log.info('provided function "' + fn.name + '" already registered - ignoring it');
+        log.warn('provided function "' + fn.name + '" already registered - ignoring it');
         return;
     }
 
@@ -224,16 +1006,31 @@ function addFunction(fn, collection) {
 }
 
 /**
+ * enables the connection tracking needed to drain the server
  *
- * @param {net.Server} server
- * @param {{signals, gracePeriodMilliseconds, delay, [serverKiller]}} [options]
+ * @param {net.Server} serv
+ */
+function prepareServer(serv) {
+    if (serv.hasOwnProperty('shutdown')) {
+        throw new Error('server graceful shutdown already enabled');
+    }
+
+    require('http-shutdown')(serv);
+
+    serv.connectionTracker = new ConnectionTracker(serv);
+}
+
+/**
+ *
+ * @param {net.Server|Object} server net.Server or a fastify, hapi or restify server
+ * @param {{signals, handleUncaughtErrors, handleShutdownMessages, gracePeriodMilliseconds, delay, [serverKiller]}} [options]
  * @param {ServerGracefulShutdown} [gracefulShutdown]
  *
  * @returns {ServerGracefulShutdown}
  */
 function enable(server, options, gracefulShutdown) {
 
-    if (typeof options === 'function') {
+    if (options instanceof ServerGracefulShutdown) {
         gracefulShutdown = options;
         options = {};
     }
@@ -250,7 +1047,7 @@ function enable(server, options, gracefulShutdown) {
         throw new TypeError('provided gracefulShutdown argument is no instance of ServerGracefulShutdown');
     }
 
-    const serv = server.hasOwnProperty('server') ? server.server : server;
+    const serv = adapters.netServer(server);
 
     if (serv.hasOwnProperty('shutdown')) {
         throw new Error('server graceful shutdown already enabled');
@@ -258,48 +1055,58 @@ function enable(server, options, gracefulShutdown) {
 
     gracefulShutdown = gracefulShutdown || new ServerGracefulShutdown(server, options);
 
-    require('http-shutdown')(serv);
+    prepareServer(serv);
+    gracefulShutdown.shedLoad(serv);
 
-    options.signals.forEach(function (signal) {
-        process.on(signal, function () {
-            if (isTerminated() === true) {
-                log.info('force exit');
-                process.exit(128 + 1);
-            }
+    gracefulShutdown.readinessProbe.start();
+    gracefulShutdown.startupProbe.start();
+    gracefulShutdown.livenessMonitor.start();
 
-            terminatedBy = signal;
+    if (gracefulShutdown.healthServer !== undefined) {
+        gracefulShutdown.healthServer.listen();
+    }
 
-            setTimeout(function () {
-                gracefulShutdown.terminate(signal, () => {
-                    log.info('ready to die...')
-                });
-            }, gracefulShutdown.delay);
-        });
-    });
+    gracefulShutdown.handleSignals(options.signals);
+
+    if (options.handleUncaughtErrors === true) {
+        gracefulShutdown.handleUncaughtErrors();
+    }
+
+    if (options.handleShutdownMessages === true) {
+        gracefulShutdown.handleShutdownMessages();
+    }
 
     return gracefulShutdown;
 }
 
 /**
  *
- * @returns {boolean}
+ * @returns {boolean} true if any enabled instance has been terminated
  */
 function isTerminated() {
-    return terminatedBy !== undefined;
+    return isTerminatedBy() !== undefined;
 }
 
 /**
  *
- * @returns {undefined,string}
+ * @returns {undefined,string} signal that terminated the first terminated enabled instance
  */
 function isTerminatedBy() {
-    return terminatedBy;
+    const terminated = Array.from(enabledInstances).find(instance => instance.isTerminated());
+
+    return terminated === undefined ? undefined : terminated.isTerminatedBy();
 }
 
 module.exports = {
     enable: enable,
     isTerminated: isTerminated,
     isTerminatedBy: isTerminatedBy,
+    HealthServer: HealthServer,
+    Metrics: Metrics,
+    checks: checks,
     ServerGracefulShutdown: ServerGracefulShutdown,
     ServerKiller: ServerKiller,
+    ClusterPrimary: cluster.ClusterPrimary,
+    stopThreads: threads.stopThreads,
+    handleThreadShutdown: threads.handleThreadShutdown,
 };
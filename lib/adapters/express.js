@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * express applications, the net.Server is the one returned by "app.listen()"
+ */
+module.exports = {
+    name: 'express',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return typeof target === 'function' && typeof target.handle === 'function' && typeof target.set === 'function';
+    },
+
+    /**
+     *
+     * @returns {net.Server}
+     */
+    netServer() {
+        throw new TypeError('an express application has no net.Server, provide the server returned by "app.listen()"');
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} middleware
+     */
+    handler(probe) {
+        return function (request, response) {
+            probe((statusCode, body) => {
+                response.status(statusCode).set('Cache-Control', 'no-store');
+
+                if (typeof body !== 'string') {
+                    response.json(body);
+                    return;
+                }
+
+                response.type('text/plain').send(body);
+            });
+        };
+    },
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * fastify instances, closed through "fastify.close()" to run the "onClose" hooks
+ */
+module.exports = {
+    name: 'fastify',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target !== null && typeof target === 'object'
+            && typeof target.register === 'function' && typeof target.addHook === 'function'
+            && target.server instanceof net.Server;
+    },
+
+    /**
+     *
+     * @param {fastify.FastifyInstance} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target.server;
+    },
+
+    /**
+     * stops accepting connections, waits for pending requests and runs the "onClose" hooks
+     *
+     * @param {fastify.FastifyInstance} target
+     * @param {Number} timeoutMilliseconds unused, fastify has no close timeout
+     * @param {function} callback
+     */
+    close(target, timeoutMilliseconds, callback) {
+        target.close().then(() => callback(), callback);
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} route handler
+     */
+    handler(probe) {
+        return function (request, reply) {
+            return new Promise((resolve) => {
+                probe((statusCode, body) => {
+                    reply.code(statusCode).header('Cache-Control', 'no-store');
+
+                    if (typeof body === 'string') {
+                        reply.type('text/plain');
+                    }
+
+                    // fastify serializes objects as JSON
+                    resolve(body);
+                });
+            });
+        };
+    },
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * hapi servers, closed through "server.stop()" to run the "onPreStop" and "onPostStop" extensions
+ */
+module.exports = {
+    name: 'hapi',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target !== null && typeof target === 'object'
+            && typeof target.stop === 'function' && typeof target.route === 'function'
+            && target.listener instanceof net.Server;
+    },
+
+    /**
+     *
+     * @param {hapi.Server} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target.listener;
+    },
+
+    /**
+     * stops accepting connections and waits for pending requests up to the timeout
+     *
+     * @param {hapi.Server} target
+     * @param {Number} timeoutMilliseconds 0 keeps the hapi default
+     * @param {function} callback
+     */
+    close(target, timeoutMilliseconds, callback) {
+        const options = timeoutMilliseconds > 0 ? { timeout: timeoutMilliseconds } : {};
+
+        target.stop(options).then(() => callback(), callback);
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} route handler
+     */
+    handler(probe) {
+        return function (request, h) {
+            return new Promise((resolve) => {
+                probe((statusCode, body) => {
+                    const response = h.response(body).code(statusCode).header('Cache-Control', 'no-store');
+
+                    // hapi serializes objects as JSON
+                    resolve(typeof body === 'string' ? response.type('text/plain') : response);
+                });
+            });
+        };
+    },
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const net = require('net');
+const respond = require('../respond');
+
+/**
+ * plain node http servers
+ */
+module.exports = {
+    name: 'http',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target instanceof net.Server;
+    },
+
+    /**
+     *
+     * @param {net.Server} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target;
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} request listener
+     */
+    handler(probe) {
+        return function (request, response) {
+            probe(respond.end.bind(null, response));
+        };
+    },
+};
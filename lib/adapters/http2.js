@@ -0,0 +1,46 @@
+'use strict';
+
+const net = require('net');
+const http = require('./http');
+
+/**
+ * node http2 servers, plain and secure, closed by sending GOAWAY to the sessions
+ */
+module.exports = {
+    name: 'http2',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target instanceof net.Server && typeof target.updateSettings === 'function';
+    },
+
+    /**
+     *
+     * @param {Http2Server|Http2SecureServer} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target;
+    },
+
+    /**
+     * stops accepting sessions and sends GOAWAY to the open sessions, a session closes once its open streams are finished
+     *
+     * @param {Http2Server|Http2SecureServer} target
+     * @param {Number} timeoutMilliseconds unused, streams still open on drain timeout are destroyed with the sessions
+     * @param {function} callback
+     */
+    close(target, timeoutMilliseconds, callback) {
+        target.close(() => callback());
+
+        if (target.connectionTracker !== undefined) {
+            target.connectionTracker.sessions.forEach(session => session.close());
+        }
+    },
+
+    handler: http.handler,
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+const https = require('https');
+const http = require('./http');
+
+/**
+ * node https servers, closed without http-shutdown which takes the TCP socket below a TLS connection for an idle one
+ */
+module.exports = {
+    name: 'https',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target instanceof https.Server;
+    },
+
+    /**
+     *
+     * @param {https.Server} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target;
+    },
+
+    /**
+     * stops accepting connections and closes the idle ones, busy connections are closed once their response is sent
+     *
+     * @param {https.Server} target
+     * @param {Number} timeoutMilliseconds unused, connections still open on drain timeout are destroyed
+     * @param {function} callback
+     */
+    close(target, timeoutMilliseconds, callback) {
+        target.close(() => callback());
+
+        // node < 18.2 has no closeIdleConnections, the idle connections are then closed by the keep-alive timeout of the server
+        if (typeof target.closeIdleConnections === 'function') {
+            target.closeIdleConnections();
+        }
+    },
+
+    handler: http.handler,
+};
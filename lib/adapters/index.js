@@ -0,0 +1,62 @@
+'use strict';
+
+const adapters = {
+    http: require('./http'),
+    http2: require('./http2'),
+    https: require('./https'),
+    restify: require('./restify'),
+    express: require('./express'),
+    koa: require('./koa'),
+    fastify: require('./fastify'),
+    hapi: require('./hapi'),
+};
+
+// framework wrappers first, they may be mistaken for plain servers otherwise
+const detectionOrder = ['fastify', 'hapi', 'restify', 'express', 'koa', 'http2', 'https', 'http'];
+
+/**
+ *
+ * @param {string} name
+ *
+ * @returns {{name, matches, netServer, handler, [close]}}
+ */
+function get(name) {
+    if (!adapters.hasOwnProperty(name)) {
+        throw new TypeError('unknown framework "' + name + '", supported: ' + Object.keys(adapters).join(', '));
+    }
+
+    return adapters[name];
+}
+
+/**
+ * finds the adapter of the given server or application
+ *
+ * @param {*} target
+ *
+ * @returns {{name, matches, netServer, handler, [close]}}
+ */
+function detect(target) {
+    const name = detectionOrder.find(name => adapters[name].matches(target));
+
+    if (name === undefined) {
+        throw new TypeError('provided server is no net.Server nor a supported framework server');
+    }
+
+    return adapters[name];
+}
+
+/**
+ *
+ * @param {*} target server or application
+ *
+ * @returns {net.Server}
+ */
+function netServer(target) {
+    return detect(target).netServer(target);
+}
+
+module.exports = {
+    get: get,
+    detect: detect,
+    netServer: netServer,
+};
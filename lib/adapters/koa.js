@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * koa applications, the net.Server is the one returned by "app.listen()"
+ */
+module.exports = {
+    name: 'koa',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target !== null && typeof target === 'object'
+            && typeof target.callback === 'function' && Array.isArray(target.middleware);
+    },
+
+    /**
+     *
+     * @returns {net.Server}
+     */
+    netServer() {
+        throw new TypeError('a koa application has no net.Server, provide the server returned by "app.listen()"');
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} middleware
+     */
+    handler(probe) {
+        return function (ctx) {
+            return new Promise((resolve) => {
+                probe((statusCode, body) => {
+                    ctx.status = statusCode;
+                    ctx.set('Cache-Control', 'no-store');
+
+                    // koa serializes objects as JSON
+                    ctx.body = body;
+
+                    if (typeof body === 'string') {
+                        ctx.type = 'text/plain';
+                    }
+
+                    resolve();
+                });
+            });
+        };
+    },
+};
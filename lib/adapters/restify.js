@@ -0,0 +1,53 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * restify servers, wrapping the net.Server in their "server" property
+ */
+module.exports = {
+    name: 'restify',
+
+    /**
+     *
+     * @param {*} target
+     * @returns {boolean}
+     */
+    matches(target) {
+        return target !== null && typeof target === 'object'
+            && target.hasOwnProperty('server') && target.server instanceof net.Server;
+    },
+
+    /**
+     *
+     * @param {restify.Server} target
+     * @returns {net.Server}
+     */
+    netServer(target) {
+        return target.server;
+    },
+
+    /**
+     *
+     * @param {function} probe taking a callback called with "statusCode" and "body", a string or a JSON report
+     * @returns {function} route handler
+     */
+    handler(probe) {
+        return function (request, response, next) {
+            probe((statusCode, body) => {
+                response.setHeader('Cache-Control', 'no-store');
+
+                // restify serializes strings as JSON unless a text content type is set
+                if (typeof body === 'string') {
+                    response.setHeader('Content-Type', 'text/plain');
+                }
+
+                response.send(statusCode, body);
+
+                if (typeof next === 'function') {
+                    next();
+                }
+            });
+        };
+    },
+};
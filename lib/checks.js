@@ -0,0 +1,327 @@
+'use strict';
+
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const measures = require('./measures');
+
+/** @type {Number} default max duration in milliseconds of a single check run */
+const defaultTimeoutMilliseconds = 2000;
+
+
+/**
+ * creates a named check function failing once the timeout is exceeded
+ *
+ * @param {string}   name
+ * @param {{timeoutMilliseconds}} options
+ * @param {function} run taking a "done" callback, may return a function cancelling the pending work on timeout
+ *
+ * @returns {Function} check function taking a "callback" argument
+ */
+function createCheck(name, options, run) {
+    const timeoutMilliseconds = options.timeoutMilliseconds === undefined ? defaultTimeoutMilliseconds : options.timeoutMilliseconds;
+
+    if (typeof timeoutMilliseconds !== 'number' || timeoutMilliseconds <= 0) {
+        throw new TypeError('timeoutMilliseconds option of check "' + name + '" has to be a positive number');
+    }
+
+    const check = function (callback) {
+        let finished = false;
+        let cancel;
+
+        const done = (error) => {
+            if (finished === true) {
+                return;
+            }
+
+            finished = true;
+            clearTimeout(timer);
+            callback(error === null ? undefined : error);
+        };
+
+        const timer = setTimeout(() => {
+            done(new Error('check "' + name + '" timed out after ' + timeoutMilliseconds + 'ms'));
+
+            if (typeof cancel === 'function') {
+                cancel();
+            }
+        }, timeoutMilliseconds);
+
+        try {
+            cancel = run(done);
+        } catch (error) {
+            done(error);
+        }
+    };
+
+    // the check name is reported by the readiness probe, the logs and the health report
+    Object.defineProperty(check, 'name', {value: name});
+
+    return check;
+}
+
+/**
+ *
+ * @param {Object} options
+ * @param {string} property
+ * @param {string} check
+ */
+function ensureNumber(options, property, check) {
+    if (typeof options[property] !== 'number' || options[property] < 0) {
+        throw new TypeError(property + ' option of ' + check + ' check has to be a positive number');
+    }
+}
+
+/**
+ * checks that a TCP port accepts connections
+ *
+ * @param {{host, port, name, timeoutMilliseconds}} options
+ *
+ * @returns {Function}
+ */
+function tcp(options) {
+    options = options || {};
+
+    ensureNumber(options, 'port', 'tcp');
+
+    const host = options.host || 'localhost';
+
+    return createCheck(options.name || 'tcp:' + host + ':' + options.port, options, (done) => {
+        const socket = net.connect({host: host, port: options.port});
+
+        socket.once('connect', () => {
+            socket.destroy();
+            done();
+        });
+        socket.once('error', done);
+
+        return () => socket.destroy();
+    });
+}
+
+/**
+ * checks that a HTTP(S) URL answers with a 2xx status code
+ *
+ * @param {{url, method, headers, name, timeoutMilliseconds}} options
+ *
+ * @returns {Function}
+ */
+function httpGet(options) {
+    options = options || {};
+
+    if (typeof options.url !== 'string' || options.url === '') {
+        throw new TypeError('url option of http check has to be a non empty string');
+    }
+
+    const url = new URL(options.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const name = options.name || 'http:' + url.host + url.pathname;
+
+    return createCheck(name, options, (done) => {
+        const request = client.request(url, {method: options.method || 'GET', headers: options.headers}, (response) => {
+            // the body is not needed, consume it to release the socket
+            response.resume();
+
+            if (response.statusCode < 200 || response.statusCode > 299) {
+                done(new Error('check "' + name + '" answered with status code ' + response.statusCode));
+                return;
+            }
+
+            done();
+        });
+
+        request.once('error', done);
+        request.end();
+
+        return () => request.destroy();
+    });
+}
+
+/**
+ * checks that a DNS name resolves
+ *
+ * @param {{hostname, name, timeoutMilliseconds}} options
+ *
+ * @returns {Function}
+ */
+function dnsLookup(options) {
+    options = options || {};
+
+    if (typeof options.hostname !== 'string' || options.hostname === '') {
+        throw new TypeError('hostname option of dns check has to be a non empty string');
+    }
+
+    return createCheck(options.name || 'dns:' + options.hostname, options, (done) => {
+        dns.lookup(options.hostname, (error) => done(error));
+    });
+}
+
+/**
+ * checks that a file, a directory or a Unix socket exists
+ *
+ * @param {{path, type, name, timeoutMilliseconds}} options type is "file", "directory", "socket" or undefined for any
+ *
+ * @returns {Function}
+ */
+function file(options) {
+    options = options || {};
+
+    const types = {file: 'isFile', directory: 'isDirectory', socket: 'isSocket'};
+
+    if (typeof options.path !== 'string' || options.path === '') {
+        throw new TypeError('path option of file check has to be a non empty string');
+    }
+
+    if (options.type !== undefined && types[options.type] === undefined) {
+        throw new TypeError('type option of file check has to be "file", "directory" or "socket"');
+    }
+
+    return createCheck(options.name || 'file:' + options.path, options, (done) => {
+        fs.stat(options.path, (error, stats) => {
+            if (error) {
+                done(error);
+                return;
+            }
+
+            if (options.type !== undefined && stats[types[options.type]]() === false) {
+                done(new Error('"' + options.path + '" is not a ' + options.type));
+                return;
+            }
+
+            done();
+        });
+    });
+}
+
+/**
+ * checks that the free disk space of a file system is above a threshold
+ *
+ * @param {{path, minFreeBytes, minFreeRatio, name, timeoutMilliseconds}} options
+ *
+ * @returns {Function}
+ */
+function diskSpace(options) {
+    options = options || {};
+
+    if (options.minFreeBytes === undefined && options.minFreeRatio === undefined) {
+        throw new TypeError('diskSpace check needs a minFreeBytes or a minFreeRatio option');
+    }
+
+    ['minFreeBytes', 'minFreeRatio'].filter(property => options[property] !== undefined)
+        .forEach(property => ensureNumber(options, property, 'diskSpace'));
+
+    if (typeof fs.statfs !== 'function') {
+        throw new Error('diskSpace check needs fs.statfs, available since node 18.15');
+    }
+
+    const path = options.path || '/';
+
+    return createCheck(options.name || 'diskSpace:' + path, options, (done) => {
+        fs.statfs(path, (error, stats) => {
+            if (error) {
+                done(error);
+                return;
+            }
+
+            const freeBytes = stats.bavail * stats.bsize;
+            const freeRatio = stats.blocks > 0 ? stats.bavail / stats.blocks : 0;
+
+            if (options.minFreeBytes !== undefined && freeBytes < options.minFreeBytes) {
+                done(new Error('free disk space of "' + path + '" is ' + freeBytes + ' bytes, below ' + options.minFreeBytes));
+                return;
+            }
+
+            if (options.minFreeRatio !== undefined && freeRatio < options.minFreeRatio) {
+                done(new Error('free disk space of "' + path + '" is ' + freeRatio.toFixed(3) + ', below ' + options.minFreeRatio));
+                return;
+            }
+
+            done();
+        });
+    });
+}
+
+/**
+ * checks that the event-loop delay since the previous run is below a threshold, the "stop()" method of the check
+ * stops its histogram, e.g. called by dispose() of the graceful shutdown
+ *
+ * @param {{maxLagMilliseconds, percentile, resolutionMilliseconds, name, timeoutMilliseconds}} options
+ *
+ * @returns {Function}
+ */
+function eventLoopLag(options) {
+    options = options || {};
+
+    ensureNumber(options, 'maxLagMilliseconds', 'eventLoopLag');
+
+    const percentile = options.percentile || 99;
+    const eventLoopDelay = new measures.EventLoopDelay(options.resolutionMilliseconds);
+
+    eventLoopDelay.start();
+
+    const check = createCheck(options.name || 'eventLoopLag', options, (done) => {
+        const lagMilliseconds = eventLoopDelay.percentileMilliseconds(percentile);
+
+        // a stopped check runs again once enabled again, the lag is observed from now on
+        eventLoopDelay.start();
+
+        if (lagMilliseconds > options.maxLagMilliseconds) {
+            done(new Error('event-loop lag p' + percentile + ' is ' + lagMilliseconds.toFixed(1) + 'ms, above ' + options.maxLagMilliseconds + 'ms'));
+            return;
+        }
+
+        done();
+    });
+
+    check.stop = () => eventLoopDelay.stop();
+
+    return check;
+}
+
+/**
+ * checks that the heap usage is below a threshold
+ *
+ * @param {{maxHeapUsedBytes, maxHeapRatio, name, timeoutMilliseconds}} options maxHeapRatio is relative to the heap size limit
+ *
+ * @returns {Function}
+ */
+function heapUsage(options) {
+    options = options || {};
+
+    if (options.maxHeapUsedBytes === undefined && options.maxHeapRatio === undefined) {
+        throw new TypeError('heapUsage check needs a maxHeapUsedBytes or a maxHeapRatio option');
+    }
+
+    ['maxHeapUsedBytes', 'maxHeapRatio'].filter(property => options[property] !== undefined)
+        .forEach(property => ensureNumber(options, property, 'heapUsage'));
+
+    return createCheck(options.name || 'heapUsage', options, (done) => {
+        const heapUsed = process.memoryUsage().heapUsed;
+        const heapRatio = measures.heapRatio(heapUsed);
+
+        if (options.maxHeapUsedBytes !== undefined && heapUsed > options.maxHeapUsedBytes) {
+            done(new Error('heap usage is ' + heapUsed + ' bytes, above ' + options.maxHeapUsedBytes));
+            return;
+        }
+
+        if (options.maxHeapRatio !== undefined && heapRatio > options.maxHeapRatio) {
+            done(new Error('heap usage is ' + heapRatio.toFixed(3) + ' of the heap size limit, above ' + options.maxHeapRatio));
+            return;
+        }
+
+        done();
+    });
+}
+
+module.exports = {
+    createCheck: createCheck,
+    tcp: tcp,
+    http: httpGet,
+    dns: dnsLookup,
+    file: file,
+    diskSpace: diskSpace,
+    eventLoopLag: eventLoopLag,
+    heapUsage: heapUsage,
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+const async = require('async');
+const EventEmitter = require('events');
+const invoke = require('./invoke');
+const signals = require('./signals');
+const Logger = require('./log');
+
+/** @type {string} type of the message asking a worker to shut down gracefully */
+const shutdownMessage = 'graceful-shutdown';
+
+
+/**
+ * catches the signals in the cluster primary once, forwards a shutdown message to every worker, waits for their
+ * graceful sequence, runs the primary finalizers and exits with the combined status
+ *
+ * emits "signal", "workerExit" and "exit"
+ */
+class ClusterPrimary extends EventEmitter {
+
+    /**
+     *
+     * @param {{signals, finalizers, workerTimeoutMilliseconds, finalizerTimeoutMilliseconds, exitCode, failureExitCode, forcedExitCode,
+     *     logger, logFormat, logLevel, cluster}} [options]
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        ['workerTimeoutMilliseconds', 'finalizerTimeoutMilliseconds'].forEach(name => {
+            if (options[name] !== undefined && (typeof options[name] !== 'number' || options[name] < 0)) {
+                throw new TypeError(name + ' option has to be a positive number');
+            }
+        });
+
+        ['exitCode', 'failureExitCode', 'forcedExitCode'].forEach(name => {
+            if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 0 || options[name] > 255)) {
+                throw new TypeError(name + ' option has to be an integer between 0 and 255');
+            }
+        });
+
+        Logger.ensureOptions(options);
+
+        /** @type {cluster} */
+        this.cluster = options.cluster || require('cluster');
+
+        /** @type {string[]} */
+        this.signals = options.signals || ['SIGTERM'];
+
+        /** @type {Number} max duration in milliseconds of the graceful sequence of a worker before it is killed */
+        this.workerTimeoutMilliseconds = options.workerTimeoutMilliseconds === undefined ? 30 * 1000 : options.workerTimeoutMilliseconds;
+
+        /** @type {Number} max duration in milliseconds of a single primary finalizer, 0 means no timeout */
+        this.finalizerTimeoutMilliseconds = options.finalizerTimeoutMilliseconds || 0;
+
+        /** @type {Number|undefined} exit code once all workers shut down cleanly, defaults to 128 + signal number or 0 for other reasons */
+        this.exitCode = options.exitCode;
+
+        /** @type {Number} exit code when a worker or a primary finalizer failed */
+        this.failureExitCode = options.failureExitCode === undefined ? 1 : options.failureExitCode;
+
+        /** @type {Number} exit code when a worker had to be killed or a second signal is received */
+        this.forcedExitCode = options.forcedExitCode === undefined ? 128 + 1 : options.forcedExitCode;
+
+        /** @type {Logger} */
+        this.log = new Logger({logger: options.logger, format: options.logFormat, level: options.logLevel});
+
+        /** @type {Function[]} functions executed once all workers exited */
+        this.finalizers = [];
+
+        /** @type {string|undefined} signal or reason that terminated the cluster */
+        this.terminatedBy = undefined;
+
+        /** @type {{signal, listener}[]} process signal listeners installed by enable */
+        this.signalListeners = [];
+
+        (options.finalizers || []).forEach(this.addFinalizer.bind(this));
+    }
+
+    /**
+     *
+     * @param {Function} fn named function executed once all workers exited, taking a "callback" argument or returning a Promise
+     */
+    addFinalizer(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('provided finalizer is not a function');
+        }
+
+        // the name is logged when the finalizer fails
+        if (fn.name === '' || fn.name === undefined) {
+            throw new TypeError('provided function has to be a named function');
+        }
+
+        if (this.finalizers.some(finalizer => finalizer.name === fn.name)) {
+            this.log.warn('provided function "' + fn.name + '" already registered - ignoring it');
+            return;
+        }
+
+        this.finalizers.push(fn);
+    }
+
+    /**
+     * installs the process signal listeners
+     *
+     * @returns {ClusterPrimary}
+     */
+    enable() {
+        this.signals.forEach(signal => {
+            const listener = () => {
+                if (this.terminatedBy !== undefined) {
+                    this.log.warn({event: 'signal', signal: signal}, 'force exit');
+                    this.exit(this.forcedExitCode);
+                    return;
+                }
+
+                this.log.info({event: 'signal', signal: signal}, 'received signal %s', signal);
+                this.emit('signal', {signal: signal});
+
+                this.shutdown(signal, (error, report) => this.exit(report.exitCode));
+            };
+
+            process.on(signal, listener);
+            this.signalListeners.push({signal: signal, listener: listener});
+        });
+
+        return this;
+    }
+
+    /**
+     * removes the process signal listeners installed by enable
+     */
+    dispose() {
+        this.signalListeners.forEach(entry => process.removeListener(entry.signal, entry.listener));
+        this.signalListeners = [];
+    }
+
+    /**
+     * forwards the shutdown to every worker, waits for them and runs the primary finalizers.
+     * a shutdown already in progress is kept, the call is logged and calls back at once without report.
+     *
+     * @param {string}   reason forwarded to the workers
+     * @param {function} [callback] returns a Promise if omitted, called with the report {workers, exitCode}
+     *
+     * @returns {Promise|undefined}
+     */
+    shutdown(reason, callback) {
+        return invoke.callbackOrPromise((cb) => {
+            if (this.terminatedBy !== undefined) {
+                this.log.warn({event: 'shutdown', reason: reason}, 'cluster shutdown already in progress, terminated by %s', this.terminatedBy);
+                cb();
+                return;
+            }
+
+            this.terminatedBy = reason;
+
+            const workers = Object.values(this.cluster.workers || {});
+
+            this.log.info({event: 'shutdown', reason: reason, workers: workers.length},
+                'cluster shutdown: forward %s to %d workers', reason, workers.length);
+
+            async.map(workers, this.stopWorker.bind(this, reason), (error, results) => {
+                this.runFinalizers((failed) => {
+                    const exitCode = this.resolveExitCode(reason, results, failed);
+
+                    this.log.info({event: 'exit', exitCode: exitCode}, 'cluster shutdown: all workers exited, exit with code %d', exitCode);
+                    this.emit('exit', {reason: reason, exitCode: exitCode, workers: results});
+
+                    cb(undefined, {workers: results, exitCode: exitCode});
+                });
+            });
+        }, callback);
+    }
+
+    /**
+     *
+     * @param {string}   reason
+     * @param {Worker}   worker
+     * @param {function} callback called with the result {id, pid, exitCode, signal, timedOut, durationMilliseconds}
+     */
+    stopWorker(reason, worker, callback) {
+        const startedAt = Date.now();
+        const result = {id: worker.id, pid: worker.process.pid, exitCode: undefined, signal: undefined, timedOut: false, durationMilliseconds: 0};
+
+        if (worker.isDead()) {
+            result.exitCode = worker.process.exitCode;
+            callback(undefined, result);
+            return;
+        }
+
+        let timer;
+
+        worker.once('exit', (code, signal) => {
+            clearTimeout(timer);
+
+            result.exitCode = code;
+            result.signal = signal || undefined;
+            result.durationMilliseconds = Date.now() - startedAt;
+
+            this.log.info(Object.assign({event: 'workerExit'}, result),
+                'cluster shutdown: worker %d exited with code %s in %dms', worker.id, code, result.durationMilliseconds);
+            this.emit('workerExit', result);
+
+            callback(undefined, result);
+        });
+
+        if (this.workerTimeoutMilliseconds > 0) {
+            timer = setTimeout(() => {
+                result.timedOut = true;
+
+                this.log.warn({event: 'workerTimeout', id: worker.id, pid: result.pid},
+                    'cluster shutdown: worker %d timed out after %dms - kill it', worker.id, this.workerTimeoutMilliseconds);
+                worker.process.kill('SIGKILL');
+            }, this.workerTimeoutMilliseconds);
+        }
+
+        try {
+            worker.send({type: shutdownMessage, reason: reason});
+        } catch (error) {
+            this.log.warn({event: 'workerError', id: worker.id, pid: result.pid},
+                'cluster shutdown: worker %d not reachable: %s', worker.id, error.message);
+        }
+    }
+
+    /**
+     *
+     * @param {function} callback called with true if a finalizer failed
+     */
+    runFinalizers(callback) {
+        const tasks = this.finalizers.map(finalizer => {
+            let run = (cb) => invoke.invoke(finalizer, [], cb);
+
+            if (this.finalizerTimeoutMilliseconds > 0) {
+                run = async.timeout(run, this.finalizerTimeoutMilliseconds);
+            }
+
+            return async.reflect((cb) => {
+                run((error) => {
+                    if (error !== null && error !== undefined) {
+                        this.log.error({event: 'finalizerError', finalizer: finalizer.name},
+                            'cluster shutdown: finalizer "%s" failed with error: %s', finalizer.name, error.stack || error);
+                    }
+
+                    cb(error);
+                });
+            });
+        });
+
+        async.parallel(tasks, (error, results) => {
+            callback(results.some(result => result.error !== undefined));
+        });
+    }
+
+    /**
+     *
+     * @param {string}  reason
+     * @param {{exitCode, signal, timedOut}[]} workers
+     * @param {boolean} failed true if a primary finalizer failed
+     *
+     * @returns {Number}
+     */
+    resolveExitCode(reason, workers, failed) {
+        // a worker shutting down on a forwarded signal exits with 128 + signal number by default
+        const cleanExitCodes = signals.isSignal(reason) ? [0, 128 + signals.codeNumber(reason)] : [0];
+
+        if (workers.some(worker => worker.timedOut)) {
+            return this.forcedExitCode;
+        }
+
+        if (failed || workers.some(worker => cleanExitCodes.indexOf(worker.exitCode) === -1)) {
+            return this.failureExitCode;
+        }
+
+        if (this.exitCode !== undefined) {
+            return this.exitCode;
+        }
+
+        return signals.isSignal(reason) ? 128 + signals.codeNumber(reason) : 0;
+    }
+
+    /**
+     *
+     * @param {Number} exitCode
+     */
+    exit(exitCode) {
+        process.exit(exitCode);
+    }
+}
+
+module.exports = {
+    ClusterPrimary: ClusterPrimary,
+    shutdownMessage: shutdownMessage,
+};
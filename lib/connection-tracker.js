@@ -0,0 +1,157 @@
+'use strict';
+
+const tls = require('tls');
+
+
+/**
+ * keeps track of the open connections and the in-flight requests of a http server
+ */
+class ConnectionTracker {
+
+    /**
+     *
+     * @param {net.Server} server
+     */
+    constructor(server) {
+
+        /** @type {Set<net.Socket>} open connections */
+        this.sockets = new Set();
+
+        /** @type {Set<http.ServerResponse>} responses not finished yet */
+        this.responses = new Set();
+
+        /** @type {Set<Http2Session>} open http2 sessions */
+        this.sessions = new Set();
+
+        /** @type {boolean} true once the server is draining, responses are then sent with "Connection: close" */
+        this.draining = false;
+
+        const onConnection = (socket) => {
+            this.sockets.add(socket);
+            socket.once('close', () => this.sockets.delete(socket));
+        };
+
+        // the sockets of a secure server are only usable once the TLS handshake is done
+        server.on(server instanceof tls.Server ? 'secureConnection' : 'connection', onConnection);
+
+        server.on('session', (session) => {
+            this.sessions.add(session);
+            session.once('close', () => this.sessions.delete(session));
+
+            if (this.draining === true) {
+                session.close();
+            }
+        });
+
+        server.on('request', (request, response) => {
+            this.responses.add(response);
+
+            if (this.draining === true) {
+                closeConnection(response);
+            }
+
+            const done = () => this.responses.delete(response);
+
+            response.once('finish', done);
+            response.once('close', done);
+        });
+    }
+
+    /**
+     *
+     * @returns {Number} count of the requests in flight
+     */
+    inFlight() {
+        return this.responses.size;
+    }
+
+    /**
+     *
+     * @returns {Number} count of the open connections
+     */
+    connections() {
+        return this.sockets.size;
+    }
+
+    /**
+     * asks keep-alive clients to close their connection once the in-flight and the following responses are sent
+     */
+    drain() {
+        this.draining = true;
+        this.responses.forEach(closeConnection);
+
+        // an upgraded connection has no request in flight, http-shutdown must not destroy it as idle
+        this.upgraded().forEach(socket => socket._isIdle = false);
+    }
+
+    /**
+     *
+     * @returns {net.Socket[]} connections upgraded e.g. to WebSocket
+     */
+    upgraded() {
+        // node releases the http parser of a connection once it is upgraded
+        return Array.from(this.sockets).filter(socket => socket.parser === null && socket.destroyed === false);
+    }
+
+    /**
+     *
+     * @returns {net.Socket[]} upgraded connections and connections streaming server-sent events
+     */
+    longLived() {
+        const sockets = new Set(this.upgraded());
+
+        this.responses.forEach(response => {
+            if (isEventStream(response) && response.socket) {
+                sockets.add(response.socket);
+            }
+        });
+
+        return Array.from(sockets);
+    }
+
+    /**
+     * destroys the long-lived connections
+     *
+     * @returns {Number} count of the destroyed connections
+     */
+    destroyLongLived() {
+        const sockets = this.longLived();
+
+        sockets.forEach(socket => socket.destroy());
+
+        return sockets.length;
+    }
+
+    /**
+     * destroys the remaining connections, aborting the in-flight requests
+     */
+    destroy() {
+        this.sessions.forEach(session => session.destroy());
+        this.sockets.forEach(socket => socket.destroy());
+    }
+}
+
+/**
+ *
+ * @param {http.ServerResponse} response
+ */
+function closeConnection(response) {
+    // http2 has no connection header, its sessions are closed by GOAWAY instead
+    if (response.headersSent === false && response.stream === undefined) {
+        response.setHeader('Connection', 'close');
+    }
+}
+
+/**
+ *
+ * @param {http.ServerResponse} response
+ *
+ * @returns {boolean}
+ */
+function isEventStream(response) {
+    // headers passed to writeHead are only available in the sent header block
+    return String(response.getHeader('content-type') || '').indexOf('text/event-stream') === 0
+        || /^content-type:\s*text\/event-stream/im.test(response._header || '');
+}
+
+module.exports = ConnectionTracker;
@@ -0,0 +1,115 @@
+'use strict';
+
+const http = require('http');
+const Logger = require('./log');
+const respond = require('./respond');
+
+const defaultPaths = {
+    livenessPath: '/health',
+    readinessPath: '/health/readiness',
+    startupPath: '/health/startup',
+};
+
+
+class HealthServer {
+
+    /**
+     *
+     * @param {ServerGracefulShutdown} gracefulShutdown providing the "liveness", "readiness", "startup" and "preStop" probes
+     * @param {{port, host, livenessPath, readinessPath, startupPath, preStopPath}} options preStopPath has no default, the route is opt-in
+     * @param {Logger} [log]
+     */
+    constructor(gracefulShutdown, options, log) {
+        options = options || {};
+
+        if (typeof options.port !== 'number') {
+            throw new TypeError('healthServer option port has to be a number');
+        }
+
+        this.gracefulShutdown = gracefulShutdown;
+
+        /** @type {Logger} */
+        this.log = log || new Logger();
+
+        /** @type {Number} port of the dedicated health server, 0 picks a random port */
+        this.port = options.port;
+
+        /** @type {string|undefined} host of the dedicated health server, all interfaces if undefined */
+        this.host = options.host;
+
+        /** @type {Object<string, string>} probe names by path */
+        this.routes = {};
+        this.routes[options.livenessPath || defaultPaths.livenessPath] = 'liveness';
+        this.routes[options.readinessPath || defaultPaths.readinessPath] = 'readiness';
+        this.routes[options.startupPath || defaultPaths.startupPath] = 'startup';
+
+        if (options.preStopPath !== undefined) {
+            this.routes[options.preStopPath] = 'preStop';
+        }
+
+        /** {http.Server} */
+        this.server = http.createServer(this.handle.bind(this));
+    }
+
+    /**
+     *
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    handle(request, response) {
+        const path = request.url.split('?')[0];
+        const probe = this.routes[path];
+
+        // always answer through the node API, a framework like restify may patch "send" on every http response
+        if (probe === undefined) {
+            respond.end(response, 404, 'NOT-FOUND');
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.setHeader('Allow', 'GET, HEAD');
+            respond.end(response, 405, 'METHOD-NOT-ALLOWED');
+            return;
+        }
+
+        this.gracefulShutdown.probeStatus(probe, respond.end.bind(null, response));
+    }
+
+    /**
+     *
+     * @param {function} [callback]
+     */
+    listen(callback) {
+        callback = callback || function () {};
+
+        const onError = (error) => {
+            this.log.error({event: 'healthServerError'}, 'health server: failed to listen on port %d: %s', this.port, error.message);
+            callback(error);
+        };
+
+        this.server.once('error', onError);
+        this.server.listen(this.port, this.host, () => {
+            this.server.removeListener('error', onError);
+            this.log.info({event: 'healthServerListening'}, 'health server: listening on port %d', this.address().port);
+            callback();
+        });
+    }
+
+    /**
+     *
+     * @returns {{port, family, address}}
+     */
+    address() {
+        return this.server.address();
+    }
+
+    /**
+     *
+     * @param {function} [callback]
+     */
+    close(callback) {
+        this.server.close(callback);
+    }
+}
+
+module.exports = HealthServer;
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * runs a function that either takes a node style callback as last argument or returns a Promise
+ * and reports its outcome to the callback exactly once
+ *
+ * @param {Function} fn
+ * @param {Array} args arguments passed to fn in front of the callback
+ * @param {function} callback
+ */
+function invoke(fn, args, callback) {
+    let done = false;
+
+    const finish = function (error) {
+        if (done === true) {
+            return;
+        }
+
+        done = true;
+        callback(error === null ? undefined : error);
+    };
+
+    let result;
+
+    try {
+        result = fn.apply(null, args.concat(finish));
+    } catch (error) {
+        finish(error);
+        return;
+    }
+
+    if (result !== null && result !== undefined && typeof result.then === 'function') {
+        result.then(
+            () => finish(),
+            (error) => finish(error || new Error('function "' + fn.name + '" rejected without reason'))
+        );
+    }
+}
+
+/**
+ * calls fn with a callback, returns a Promise instead when no callback is provided
+ *
+ * @param {function} fn taking a callback as only argument
+ * @param {function} [callback]
+ *
+ * @returns {Promise|undefined}
+ */
+function callbackOrPromise(fn, callback) {
+    if (typeof callback === 'function') {
+        fn(callback);
+        return;
+    }
+
+    return new Promise((resolve, reject) => {
+        fn((error, result) => {
+            if (error !== null && error !== undefined) {
+                reject(error);
+                return;
+            }
+
+            resolve(result);
+        });
+    });
+}
+
+module.exports = {
+    invoke: invoke,
+    callbackOrPromise: callbackOrPromise,
+};
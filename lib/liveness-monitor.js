@@ -0,0 +1,181 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Logger = require('./log');
+const measures = require('./measures');
+
+/** @type {Object<string, {measure, label}>} measure compared to each threshold option */
+const thresholds = {
+    maxEventLoopDelayMilliseconds: {measure: 'eventLoopDelayMilliseconds', label: 'event-loop delay'},
+    maxHeapUsedBytes: {measure: 'heapUsedBytes', label: 'heap used bytes'},
+    maxHeapRatio: {measure: 'heapRatio', label: 'heap ratio'},
+    maxRssBytes: {measure: 'rssBytes', label: 'rss bytes'},
+};
+
+
+/**
+ * samples the event-loop delay and the memory usage, the liveness fails once a threshold is exceeded for a sustained window
+ *
+ * emits "livenessFailed" and "livenessRecovered" on liveness transitions
+ */
+class LivenessMonitor extends EventEmitter {
+
+    /**
+     *
+     * @param {{maxEventLoopDelayMilliseconds, maxHeapUsedBytes, maxHeapRatio, maxRssBytes, percentile, sustainedMilliseconds,
+     *     intervalMilliseconds}} options
+     * @param {Logger} [log]
+     */
+    constructor(options, log) {
+        super();
+
+        options = options || {};
+
+        Object.keys(thresholds).concat(['percentile', 'sustainedMilliseconds', 'intervalMilliseconds']).forEach(name => {
+            if (options[name] !== undefined && (typeof options[name] !== 'number' || options[name] < 0)) {
+                throw new TypeError('liveness option ' + name + ' has to be a positive number');
+            }
+        });
+
+        /** @type {Object<string, Number>} configured thresholds by option name */
+        this.thresholds = {};
+        Object.keys(thresholds).filter(name => options[name] !== undefined).forEach(name => this.thresholds[name] = options[name]);
+
+        /** @type {Number} percentile of the event-loop delay compared to maxEventLoopDelayMilliseconds */
+        this.percentile = options.percentile || 99;
+
+        /** @type {Number} duration in milliseconds a threshold has to be exceeded before the liveness fails */
+        this.sustainedMilliseconds = options.sustainedMilliseconds === undefined ? 30 * 1000 : options.sustainedMilliseconds;
+
+        /** @type {Number} interval in milliseconds of the samples */
+        this.intervalMilliseconds = options.intervalMilliseconds || 1000;
+
+        /** @type {Logger} */
+        this.log = log || new Logger();
+
+        /** @type {Map<string, Number>} timestamp of the first sample exceeding a threshold, by option name */
+        this.exceededSince = new Map();
+
+        /** @type {string|undefined} reason of the failing liveness */
+        this.reason = undefined;
+
+        /** @type {EventLoopDelay} only started with a maxEventLoopDelayMilliseconds threshold */
+        this.eventLoopDelay = new measures.EventLoopDelay();
+
+        this.timer = undefined;
+    }
+
+    /**
+     *
+     * @returns {boolean} true if at least one threshold is configured
+     */
+    isEnabled() {
+        return Object.keys(this.thresholds).length > 0;
+    }
+
+    /**
+     *
+     * @returns {{eventLoopDelayMilliseconds, heapUsedBytes, heapRatio, rssBytes}} measures since the previous sample
+     */
+    measure() {
+        const memory = process.memoryUsage();
+
+        return {
+            eventLoopDelayMilliseconds: this.eventLoopDelay.percentileMilliseconds(this.percentile),
+            heapUsedBytes: memory.heapUsed,
+            heapRatio: measures.heapRatio(memory.heapUsed),
+            rssBytes: memory.rss,
+        };
+    }
+
+    /**
+     * compares the measures to the thresholds and updates the liveness
+     */
+    sample() {
+        const now = Date.now();
+        const measures = this.measure();
+        let reason;
+
+        Object.keys(this.thresholds).forEach(name => {
+            const value = measures[thresholds[name].measure];
+
+            if (value <= this.thresholds[name]) {
+                this.exceededSince.delete(name);
+                return;
+            }
+
+            if (this.exceededSince.has(name) === false) {
+                this.exceededSince.set(name, now);
+            }
+
+            if (reason === undefined && now - this.exceededSince.get(name) >= this.sustainedMilliseconds) {
+                reason = describe(name, value, this.thresholds[name], now - this.exceededSince.get(name));
+            }
+        });
+
+        if (reason !== undefined && this.reason === undefined) {
+            this.log.error({event: 'livenessFailed', reason: reason}, 'liveness: %s', reason);
+            this.emit('livenessFailed', {reason: reason, measures: measures});
+        }
+
+        if (reason === undefined && this.reason !== undefined) {
+            this.log.info({event: 'livenessRecovered'}, 'liveness: recovered');
+            this.emit('livenessRecovered', {measures: measures});
+        }
+
+        this.reason = reason;
+    }
+
+    /**
+     *
+     * @returns {string|undefined} reason of the failing liveness, undefined if alive
+     */
+    status() {
+        return this.reason;
+    }
+
+    /**
+     * starts sampling if at least one threshold is configured
+     */
+    start() {
+        if (this.isEnabled() === false || this.timer !== undefined) {
+            return;
+        }
+
+        if (this.thresholds.maxEventLoopDelayMilliseconds !== undefined) {
+            this.eventLoopDelay.start();
+        }
+
+        this.timer = setInterval(() => this.sample(), this.intervalMilliseconds);
+        this.timer.unref();
+    }
+
+    /**
+     * stops sampling and forgets the exceeded thresholds
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.eventLoopDelay.stop();
+
+        this.timer = undefined;
+        this.exceededSince.clear();
+        this.reason = undefined;
+    }
+}
+
+/**
+ *
+ * @param {string} name threshold option name
+ * @param {Number} value
+ * @param {Number} threshold
+ * @param {Number} durationMilliseconds
+ *
+ * @returns {string}
+ */
+function describe(name, value, threshold, durationMilliseconds) {
+    const format = Number.isInteger(value) ? String(value) : value.toFixed(3);
+
+    return thresholds[name].label + ' ' + format + ' above ' + threshold + ' for ' + durationMilliseconds + 'ms';
+}
+
+module.exports = LivenessMonitor;
@@ -0,0 +1,114 @@
+'use strict';
+
+const respond = require('./respond');
+
+
+/**
+ * answers the requests arriving during the shutdown with 503, "Retry-After" and "Connection: close",
+ * so the clients retry on another pod while the endpoint removal is still propagating
+ */
+class LoadShedder {
+
+    /**
+     *
+     * @param {{cutoffMilliseconds, retryAfterSeconds, routes, excludedRoutes}} options routes are path prefixes or RegExp
+     */
+    constructor(options) {
+        options = options || {};
+
+        ['cutoffMilliseconds', 'retryAfterSeconds'].forEach(name => {
+            if (options[name] !== undefined && (typeof options[name] !== 'number' || options[name] < 0)) {
+                throw new TypeError('loadShedding option ' + name + ' has to be a positive number');
+            }
+        });
+
+        ['routes', 'excludedRoutes'].forEach(name => {
+            if (options[name] !== undefined && (options[name].constructor !== Array
+                || options[name].some(route => typeof route !== 'string' && !(route instanceof RegExp)))) {
+                throw new TypeError('loadShedding option ' + name + ' has to be an array of path prefixes or RegExp');
+            }
+        });
+
+        /** @type {Number} duration in milliseconds the requests are still served once terminated */
+        this.cutoffMilliseconds = options.cutoffMilliseconds === undefined ? 1000 : options.cutoffMilliseconds;
+
+        /** @type {Number} value of the "Retry-After" header */
+        this.retryAfterSeconds = options.retryAfterSeconds === undefined ? 5 : options.retryAfterSeconds;
+
+        /** @type {Array<string|RegExp>} routes answered with 503, all routes by default */
+        this.routes = options.routes || ['/'];
+
+        /** @type {Array<string|RegExp>} routes left alone, e.g. health and admin routes */
+        this.excludedRoutes = options.excludedRoutes || ['/health'];
+    }
+
+    /**
+     *
+     * @param {http.IncomingMessage} request
+     * @param {Number|undefined} terminatedAt timestamp of the termination, undefined if not terminated
+     *
+     * @returns {boolean} true if the request has to be answered with 503
+     */
+    matches(request, terminatedAt) {
+        if (terminatedAt === undefined || Date.now() - terminatedAt < this.cutoffMilliseconds) {
+            return false;
+        }
+
+        const path = (request.url || '/').split('?')[0];
+
+        return this.routes.some(route => matchRoute(route, path))
+            && !this.excludedRoutes.some(route => matchRoute(route, path));
+    }
+
+    /**
+     *
+     * @param {http.ServerResponse} response
+     */
+    shed(response) {
+        response.setHeader('Retry-After', String(this.retryAfterSeconds));
+
+        // http2 has no connection header, its sessions are closed by GOAWAY instead
+        if (response.stream === undefined) {
+            response.setHeader('Connection', 'close');
+        }
+
+        respond.end(response, 503, 'SHUTTING-DOWN');
+    }
+
+    /**
+     * answers the matching requests of the server before its own request listeners, including the ones added later
+     *
+     * @param {net.Server} server
+     * @param {function} terminatedAt returning the timestamp of the termination, undefined if not terminated
+     */
+    install(server, terminatedAt) {
+        const shedder = this;
+        const emit = server.emit;
+
+        server.emit = function (event, request, response) {
+            if (event === 'request' && shedder.matches(request, terminatedAt()) === true) {
+                shedder.shed(response);
+                return true;
+            }
+
+            return emit.apply(this, arguments);
+        };
+    }
+}
+
+/**
+ *
+ * @param {string|RegExp} route
+ * @param {string} path
+ *
+ * @returns {boolean}
+ */
+function matchRoute(route, path) {
+    if (route instanceof RegExp) {
+        return route.test(path);
+    }
+
+    return path === route || path.indexOf(route.endsWith('/') ? route : route + '/') === 0;
+}
+
+module.exports = LoadShedder;
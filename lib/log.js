@@ -3,13 +3,103 @@
 const util = require('util');
 
 const prefix = '[graceful-shutdown] %d - ';
+const levels = ['debug', 'info', 'warn', 'error'];
+const formats = ['text', 'json'];
 
-/**
- *
- * @param {string} msg
- */
-function info(msg) {
-    process.stderr.write(util.format(prefix, process.pid) + util.format.apply(util, arguments) + '\n');
+
+class Logger {
+
+    /**
+     *
+     * @param {{logger, format, level}} [options]
+     */
+    constructor(options) {
+        options = options || {};
+
+        /** @type {{info, warn, error, debug}|undefined} external logger taking "fields" and "message" arguments, like pino or bunyan */
+        this.logger = options.logger;
+
+        /** @type {string} "text" or "json" format of the built-in stderr output */
+        this.format = options.format || 'text';
+
+        /** @type {string} min level of the built-in stderr output */
+        this.level = options.level || 'info';
+    }
+
+    debug() {
+        this.write('debug', Array.from(arguments));
+    }
+
+    info() {
+        this.write('info', Array.from(arguments));
+    }
+
+    warn() {
+        this.write('warn', Array.from(arguments));
+    }
+
+    error() {
+        this.write('error', Array.from(arguments));
+    }
+
+    /**
+     *
+     * @param {string} level
+     * @param {Array}  args optional fields object followed by util.format arguments
+     */
+    write(level, args) {
+        let fields = {};
+
+        if (args[0] !== null && typeof args[0] === 'object') {
+            fields = args.shift();
+        }
+
+        const msg = util.format.apply(util, args);
+
+        if (this.logger !== undefined) {
+            this.logger[level](fields, msg);
+            return;
+        }
+
+        if (levels.indexOf(level) < levels.indexOf(this.level)) {
+            return;
+        }
+
+        if (this.format === 'json') {
+            process.stderr.write(JSON.stringify(Object.assign({
+                time: new Date().toISOString(),
+                level: level,
+                pid: process.pid,
+                name: 'graceful-shutdown',
+                msg: msg,
+            }, fields)) + '\n');
+            return;
+        }
+
+        process.stderr.write(util.format(prefix, process.pid) + (level === 'info' ? '' : level.toUpperCase() + ': ') + msg + '\n');
+    }
+
+    /**
+     *
+     * @param {{logger, logFormat, logLevel}} options
+     */
+    static ensureOptions(options) {
+        if (options.logger !== undefined) {
+            const valid = options.logger !== null && levels.every(level => typeof options.logger[level] === 'function');
+
+            if (valid === false) {
+                throw new TypeError('logger option has to provide "debug", "info", "warn" and "error" functions');
+            }
+        }
+
+        if (options.logFormat !== undefined && formats.indexOf(options.logFormat) === -1) {
+            throw new TypeError('logFormat option has to be one of: ' + formats.join(', '));
+        }
+
+        if (options.logLevel !== undefined && levels.indexOf(options.logLevel) === -1) {
+            throw new TypeError('logLevel option has to be one of: ' + levels.join(', '));
+        }
+    }
 }
 
-module.exports = { info: info };
+module.exports = Logger;
@@ -0,0 +1,82 @@
+'use strict';
+
+const perfHooks = require('perf_hooks');
+const v8 = require('v8');
+
+
+/**
+ * samples the event-loop delay between start() and stop(), the histogram keeps running in the background otherwise
+ */
+class EventLoopDelay {
+
+    /**
+     *
+     * @param {Number} [resolutionMilliseconds] sampling rate of the histogram, defaults to 10
+     */
+    constructor(resolutionMilliseconds) {
+        /** @type {Number} */
+        this.resolutionMilliseconds = resolutionMilliseconds || 10;
+
+        /** @type {IntervalHistogram|undefined} running histogram, undefined once stopped */
+        this.histogram = undefined;
+    }
+
+    /**
+     * starts the histogram if not running yet
+     */
+    start() {
+        if (this.histogram !== undefined) {
+            return;
+        }
+
+        this.histogram = perfHooks.monitorEventLoopDelay({resolution: this.resolutionMilliseconds});
+        this.histogram.enable();
+    }
+
+    /**
+     * stops the histogram and forgets its samples
+     */
+    stop() {
+        if (this.histogram === undefined) {
+            return;
+        }
+
+        this.histogram.disable();
+        this.histogram = undefined;
+    }
+
+    /**
+     * reads the delay since the previous call and resets the histogram
+     *
+     * @param {Number} percentile
+     *
+     * @returns {Number} delay in milliseconds, 0 if stopped or without sample yet
+     */
+    percentileMilliseconds(percentile) {
+        // the histogram is in nanoseconds, no sample yet means no delay observed
+        if (this.histogram === undefined || this.histogram.count === 0) {
+            return 0;
+        }
+
+        const delayMilliseconds = this.histogram.percentile(percentile) / 1e6;
+
+        this.histogram.reset();
+
+        return delayMilliseconds;
+    }
+}
+
+/**
+ *
+ * @param {Number} heapUsedBytes
+ *
+ * @returns {Number} ratio of the used heap to the heap size limit
+ */
+function heapRatio(heapUsedBytes) {
+    return heapUsedBytes / v8.getHeapStatistics().heap_size_limit;
+}
+
+module.exports = {
+    EventLoopDelay: EventLoopDelay,
+    heapRatio: heapRatio,
+};
@@ -0,0 +1,286 @@
+'use strict';
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ *
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+
+    if (names.length === 0) {
+        return '';
+    }
+
+    return '{' + names.map(name => name + '="' + escapeLabelValue(labels[name]) + '"').join(',') + '}';
+}
+
+/**
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    return String(value);
+}
+
+
+class Metric {
+
+    /**
+     *
+     * @param {string} type   "counter", "gauge" or "histogram"
+     * @param {string} name
+     * @param {string} help
+     */
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+
+        /** @type {Map<string, {labels, value}>} series by formatted labels */
+        this.series = new Map();
+    }
+
+    /**
+     *
+     * @param {Object<string, string>} labels
+     * @param {function} create returning the initial series value
+     *
+     * @returns {{labels, value}}
+     */
+    get(labels, create) {
+        labels = labels || {};
+
+        const key = formatLabels(labels);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: labels, value: create() });
+        }
+
+        return this.series.get(key);
+    }
+
+    /**
+     *
+     * @returns {string[]} exposition lines of the series
+     */
+    lines() {
+        return Array.from(this.series.values()).map(series => this.name + formatLabels(series.labels) + ' ' + formatValue(series.value));
+    }
+
+    /**
+     *
+     * @returns {string} the metric in the Prometheus text exposition format
+     */
+    render() {
+        return ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type]
+            .concat(this.lines())
+            .join('\n');
+    }
+}
+
+
+class Counter extends Metric {
+
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    /**
+     *
+     * @param {Object<string, string>} [labels]
+     * @param {number} [value] default 1
+     */
+    inc(labels, value) {
+        this.get(labels, () => 0).value += (value === undefined ? 1 : value);
+    }
+}
+
+
+class Gauge extends Metric {
+
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    /**
+     *
+     * @param {Object<string, string>} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+        this.get(labels, () => 0).value = value;
+    }
+}
+
+
+class Histogram extends Metric {
+
+    /**
+     *
+     * @param {string} name
+     * @param {string} help
+     * @param {number[]} [buckets] upper bounds in ascending order
+     */
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+
+        this.buckets = (buckets || defaultBuckets).concat(Infinity);
+    }
+
+    /**
+     *
+     * @param {Object<string, string>} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const series = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        let lines = [];
+
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                const labels = Object.assign({}, series.labels, { le: formatValue(bound) });
+
+                lines.push(this.name + '_bucket' + formatLabels(labels) + ' ' + series.value.counts[index]);
+            });
+
+            lines.push(this.name + '_sum' + formatLabels(series.labels) + ' ' + series.value.sum);
+            lines.push(this.name + '_count' + formatLabels(series.labels) + ' ' + series.value.count);
+        });
+
+        return lines;
+    }
+}
+
+
+/**
+ * shutdown and readiness metrics collected from the events of a ServerGracefulShutdown
+ */
+class Metrics {
+
+    /**
+     *
+     * @param {{prefix, buckets}} [options]
+     */
+    constructor(options) {
+        options = options || {};
+
+        const prefix = options.prefix === undefined ? 'graceful_shutdown_' : options.prefix;
+
+        this.readinessCheckDuration = new Histogram(prefix + 'readiness_check_duration_seconds',
+            'Duration of the readiness checks.', options.buckets);
+        this.readinessCheckFailures = new Counter(prefix + 'readiness_check_failures_total',
+            'Failed readiness check runs.');
+        this.finalizerDuration = new Histogram(prefix + 'finalizer_duration_seconds',
+            'Duration of the shutdown finalizers.', options.buckets);
+        this.finalizerFailures = new Counter(prefix + 'finalizer_failures_total',
+            'Failed or timed out shutdown finalizers.');
+        this.drainDuration = new Histogram(prefix + 'drain_duration_seconds',
+            'Duration of the connection draining.', options.buckets);
+        this.drainConnections = new Gauge(prefix + 'drain_connections',
+            'Connections still open while draining.');
+        this.drainInFlight = new Gauge(prefix + 'drain_in_flight_requests',
+            'Requests still in flight while draining.');
+
+        // recorded before the finalizers, once the main server is drained only a push finalizer can still report it
+        this.shutdownDuration = new Histogram(prefix + 'shutdown_duration_seconds',
+            'Duration of the shutdown sequence until the finalizers.', options.buckets);
+    }
+
+    /**
+     *
+     * @param {ServerGracefulShutdown} gracefulShutdown
+     *
+     * @returns {Metrics}
+     */
+    observe(gracefulShutdown) {
+        gracefulShutdown.on('readinessCheckEnd', data => {
+            this.readinessCheckDuration.observe({ check: data.check }, data.durationMilliseconds / 1000);
+
+            if (data.status === 'failed') {
+                this.readinessCheckFailures.inc({ check: data.check });
+            }
+        });
+
+        gracefulShutdown.on('finalizerEnd', data => {
+            this.finalizerDuration.observe({ finalizer: data.finalizer }, data.durationMilliseconds / 1000);
+        });
+
+        gracefulShutdown.on('finalizerError', data => {
+            this.finalizerDuration.observe({ finalizer: data.finalizer }, data.durationMilliseconds / 1000);
+            this.finalizerFailures.inc({ finalizer: data.finalizer });
+        });
+
+        // the drain progress keeps the gauges live until the server is drained
+        ['draining', 'drainProgress'].forEach(event => gracefulShutdown.on(event, data => {
+            this.drainConnections.set({ server: data.server }, data.connections);
+            this.drainInFlight.set({ server: data.server }, data.inFlight);
+        }));
+
+        gracefulShutdown.on('drained', data => {
+            this.drainConnections.set({ server: data.server }, 0);
+            this.drainInFlight.set({ server: data.server }, 0);
+            this.drainDuration.observe({ server: data.server }, data.durationMilliseconds / 1000);
+        });
+
+        gracefulShutdown.on('workDrained', data => {
+            this.shutdownDuration.observe({}, data.elapsedMilliseconds / 1000);
+        });
+
+        return this;
+    }
+
+    /**
+     *
+     * @returns {string} all metrics in the Prometheus text exposition format
+     */
+    render() {
+        return [
+            this.readinessCheckDuration,
+            this.readinessCheckFailures,
+            this.finalizerDuration,
+            this.finalizerFailures,
+            this.drainDuration,
+            this.drainConnections,
+            this.drainInFlight,
+            this.shutdownDuration,
+        ].map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+Metrics.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    Counter: Counter,
+    Gauge: Gauge,
+    Histogram: Histogram,
+    Metrics: Metrics,
+};
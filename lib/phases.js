@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ *
+ * @param {string}   name of the finalizer to register
+ * @param {{phase, dependsOn, skipOnCrash}} order
+ * @param {Map<string, {phase, dependsOn, skipOnCrash}>} registered order of already registered finalizers
+ *
+ * @returns {{phase: number, dependsOn: string[], skipOnCrash: boolean}} the normalized order
+ */
+function ensureOrder(name, order, registered) {
+    order = order || {};
+
+    let phase = order.phase === undefined ? 0 : order.phase;
+    let dependsOn = order.dependsOn === undefined ? [] : [].concat(order.dependsOn);
+    let skipOnCrash = order.skipOnCrash === undefined ? false : order.skipOnCrash;
+
+    if (!Number.isInteger(phase)) {
+        throw new TypeError('phase of finalizer "' + name + '" has to be an integer');
+    }
+
+    if (typeof skipOnCrash !== 'boolean') {
+        throw new TypeError('skipOnCrash of finalizer "' + name + '" has to be a boolean');
+    }
+
+    dependsOn.forEach(dependency => {
+        if (typeof dependency !== 'string') {
+            throw new TypeError('dependsOn of finalizer "' + name + '" has to be an array of finalizer names');
+        }
+
+        if (dependency === name) {
+            throw new Error('finalizer "' + name + '" can not depend on itself');
+        }
+
+        if (!registered.has(dependency)) {
+            throw new Error('finalizer "' + name + '" depends on unknown finalizer "' + dependency + '"');
+        }
+    });
+
+    // dependencies have to be registered first, dependency cycles are therefore not possible
+    return { phase: phase, dependsOn: dependsOn, skipOnCrash: skipOnCrash };
+}
+
+/**
+ * groups finalizers into phases to be executed one after another,
+ * a finalizer runs in its own phase or after the phases of all its dependencies
+ *
+ * @param {Function[]} finalizers in registration order
+ * @param {Map<string, {phase, dependsOn, skipOnCrash}>} orders
+ * @param {boolean}    [crash] leaves out the finalizers to be skipped after an uncaught error
+ *
+ * @returns {Function[][]}
+ */
+function resolve(finalizers, orders, crash) {
+    const levels = new Map();
+    const phases = new Map();
+
+    finalizers.forEach(finalizer => {
+        const order = orders.get(finalizer.name) || { phase: 0, dependsOn: [] };
+
+        const level = order.dependsOn.reduce((max, dependency) => {
+            return Math.max(max, levels.get(dependency) + 1);
+        }, order.phase);
+
+        levels.set(finalizer.name, level);
+
+        // the level is kept, finalizers depending on a skipped one still run after it would have
+        if (crash === true && order.skipOnCrash === true) {
+            return;
+        }
+
+        if (!phases.has(level)) {
+            phases.set(level, []);
+        }
+
+        phases.get(level).push(finalizer);
+    });
+
+    return Array.from(phases.keys())
+        .sort((a, b) => a - b)
+        .map(level => phases.get(level));
+}
+
+module.exports = {
+    ensureOrder: ensureOrder,
+    resolve: resolve,
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+const async = require('async');
+const EventEmitter = require('events');
+const invoke = require('./invoke');
+const Logger = require('./log');
+
+
+/**
+ * emits "readinessCheckEnd" after each check run, "ready" and "notReady" on readiness transitions
+ */
+class ReadinessProbe extends EventEmitter {
+
+    /**
+     *
+     * @param {{checks, cacheMilliseconds, intervalMilliseconds, failureThreshold, successThreshold, log}} options
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        /** @type {Function[]} readiness check functions, evaluated on each run */
+        this.checks = options.checks || [];
+
+        /** @type {Number} duration in milliseconds a check result is reused before running the checks again */
+        this.cacheMilliseconds = options.cacheMilliseconds || 0;
+
+        /** @type {Number} interval in milliseconds of the background check runs, 0 means checks only run on demand */
+        this.intervalMilliseconds = options.intervalMilliseconds || 0;
+
+        /** @type {Number} consecutive failed runs needed to switch from ready to not ready */
+        this.failureThreshold = options.failureThreshold || 1;
+
+        /** @type {Number} consecutive successful runs needed to switch from not ready to ready */
+        this.successThreshold = options.successThreshold || 1;
+
+        /** @type {Logger} */
+        this.log = options.log || new Logger();
+
+        this.ready = false;
+        this.consecutiveFailures = 0;
+        this.consecutiveSuccesses = 0;
+        this.lastError = undefined;
+        this.lastRunAt = undefined;
+
+        /** @type {Map<string, {status, error, durationMilliseconds, lastRunAt}>} last result of each check by name */
+        this.results = new Map();
+
+        this.running = false;
+        this.waiting = [];
+        this.timer = undefined;
+    }
+
+    /**
+     * reports the readiness, running the checks only if the last result is older than the cache duration
+     *
+     * @param {function} callback called with an error if not ready
+     */
+    check(callback) {
+        if (this.lastRunAt !== undefined && Date.now() - this.lastRunAt < this.cacheMilliseconds) {
+            callback(this.error());
+            return;
+        }
+
+        this.run(callback);
+    }
+
+    /**
+     * runs the checks, concurrent calls wait for the result of the running checks
+     *
+     * @param {function} callback called with an error if not ready
+     */
+    run(callback) {
+        this.waiting.push(callback);
+
+        if (this.running === true) {
+            return;
+        }
+
+        this.running = true;
+
+        let tasks = this.checks.map(check => {
+            return async.reflect((cb) => {
+                const startedAt = Date.now();
+
+                this.log.debug({event: 'readinessCheckStart', check: check.name}, 'running readiness check "' + check.name + '"');
+                invoke.invoke(check, [], (error) => {
+                    const durationMilliseconds = Date.now() - startedAt;
+
+                    if (error !== undefined) {
+                        this.log.error({event: 'readinessCheckError', check: check.name, durationMilliseconds: durationMilliseconds},
+                            'readiness check "%s" failed with error: %s', check.name, error.stack || error);
+                    }
+
+                    this.results.set(check.name, {
+                        status: error === undefined ? 'passed' : 'failed',
+                        error: error === undefined ? undefined : error,
+                        durationMilliseconds: durationMilliseconds,
+                        lastRunAt: startedAt,
+                    });
+
+                    this.emit('readinessCheckEnd', {
+                        check: check.name,
+                        status: error === undefined ? 'passed' : 'failed',
+                        error: error,
+                        durationMilliseconds: durationMilliseconds,
+                    });
+
+                    cb(error);
+                });
+            });
+        });
+
+        this.log.debug({event: 'readinessChecks'}, 'readiness: execute readiness checks');
+        async.parallel(tasks, (_, results) => {
+            const failed = results.find(result => result.error !== undefined && result.error !== null);
+
+            this.running = false;
+            this.lastRunAt = Date.now();
+            this.record(failed === undefined ? undefined : failed.error);
+
+            const waiting = this.waiting;
+            this.waiting = [];
+
+            waiting.forEach(cb => cb(this.error()));
+        });
+    }
+
+    /**
+     * applies the result of a check run to the failure and success thresholds
+     *
+     * @param {Error} [error]
+     */
+    record(error) {
+        this.lastError = error;
+
+        if (error !== undefined) {
+            this.log.debug({event: 'readinessChecksFailed'}, 'readiness: readiness checks failed with error: %s', error.message || error);
+
+            this.consecutiveSuccesses = 0;
+            this.consecutiveFailures++;
+
+            if (this.ready === true && this.consecutiveFailures >= this.failureThreshold) {
+                this.log.error({event: 'notReady', consecutiveFailures: this.consecutiveFailures},
+                    'readiness: %d consecutive failures - switching to NOT-READY', this.consecutiveFailures);
+                this.ready = false;
+                this.emit('notReady', {error: error, consecutiveFailures: this.consecutiveFailures, checks: this.report()});
+            }
+
+            return;
+        }
+
+        this.log.debug({event: 'readinessChecksPassed'}, 'readiness: readiness checks all executed');
+
+        this.consecutiveFailures = 0;
+        this.consecutiveSuccesses++;
+
+        if (this.ready === false && this.consecutiveSuccesses >= this.successThreshold) {
+            this.log.info({event: 'ready', consecutiveSuccesses: this.consecutiveSuccesses},
+                'readiness: %d consecutive successes - switching to READY', this.consecutiveSuccesses);
+            this.ready = true;
+            this.emit('ready', {consecutiveSuccesses: this.consecutiveSuccesses, checks: this.report()});
+        }
+    }
+
+    /**
+     *
+     * @returns {Error|undefined} undefined if ready
+     */
+    error() {
+        if (this.ready === true) {
+            return undefined;
+        }
+
+        return this.lastError || new Error('readiness success threshold not reached yet');
+    }
+
+    /**
+     *
+     * @returns {{name, status, error, durationMilliseconds, lastRunAt}[]} last result of each registered check,
+     *          status is "passed", "failed" or "pending" if the check did not run yet
+     */
+    report() {
+        return this.checks.map(check => {
+            const result = this.results.get(check.name);
+
+            if (result === undefined) {
+                return { name: check.name, status: 'pending', error: null, durationMilliseconds: null, lastRunAt: null };
+            }
+
+            return {
+                name: check.name,
+                status: result.status,
+                error: result.error === undefined ? null : (result.error.message || String(result.error)),
+                durationMilliseconds: result.durationMilliseconds,
+                lastRunAt: new Date(result.lastRunAt).toISOString(),
+            };
+        });
+    }
+
+    /**
+     * forgets the readiness state and the check results
+     */
+    reset() {
+        this.ready = false;
+        this.consecutiveFailures = 0;
+        this.consecutiveSuccesses = 0;
+        this.lastError = undefined;
+        this.lastRunAt = undefined;
+        this.results.clear();
+    }
+
+    /**
+     * starts running the checks in the background if an interval is configured
+     */
+    start() {
+        if (this.intervalMilliseconds <= 0 || this.timer !== undefined) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.run(() => {}), this.intervalMilliseconds);
+        this.timer.unref();
+    }
+
+    /**
+     * stops the background check runs
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = undefined;
+    }
+}
+
+module.exports = ReadinessProbe;
@@ -0,0 +1,50 @@
+'use strict';
+
+const http = require('http');
+
+/**
+ * sends a plain text or a JSON response, using the framework "status(code).send(body)" or "send(code, body)" API if available
+ *
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode
+ * @param {string|Object} body
+ */
+function send(response, statusCode, body) {
+    // express deprecated "send(code, body)" and dropped it in v5, its chainable "status(code)" returns the response
+    if (typeof response.send === 'function' && typeof response.status === 'function' && response.status(statusCode) === response) {
+        response.send(body);
+        return;
+    }
+
+    // restify patches "send" on every node http response but only sets up the ones of its own server
+    if (typeof response.send === 'function' && !(response instanceof http.ServerResponse && response.log === undefined)) {
+        response.send(statusCode, body);
+        return;
+    }
+
+    end(response, statusCode, body);
+}
+
+/**
+ * sends a plain text or a JSON response through the node http API
+ *
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode
+ * @param {string|Object} body
+ */
+function end(response, statusCode, body) {
+    const json = typeof body !== 'string';
+    const payload = json ? JSON.stringify(body) : body;
+
+    response.writeHead(statusCode, {
+        'Content-Type': json ? 'application/json; charset=utf-8' : 'text/plain; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+    });
+    response.end(payload);
+}
+
+module.exports = {
+    send: send,
+    end: end,
+};
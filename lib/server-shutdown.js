@@ -1,102 +1,636 @@
 'use strict';
 
 const async = require('async');
+const EventEmitter = require('events');
+const adapters = require('./adapters');
+const invoke = require('./invoke');
 const signals = require('./signals');
-const log = require('./log');
+const Logger = require('./log');
+const WorkTracker = require('./work-tracker');
 
 
-class ServerKiller {
+/**
+ * emits "gracePeriodStart", "gracePeriodEnd", "draining", "drainProgress", "drained", "workDrained", "finalizerStart", "finalizerEnd", "finalizerError" and "exit"
+ */
+class ServerKiller extends EventEmitter {
 
     /**
      *
-     * @param {{gracePeriodMilliseconds, delay}} options
+     * @param {{gracePeriodMilliseconds, finalizerTimeoutMilliseconds, drainTimeoutMilliseconds, shutdownTimeoutMilliseconds, exitCode, finalizerFailureExitCode, forcedExitCode, exitDelayMilliseconds, crashDrainTimeoutMilliseconds, crashWorkTimeoutMilliseconds, crashTimeoutMilliseconds, crashExitCode, destroySocketsOnDrainTimeout, drainProgressIntervalMilliseconds, longLivedTimeoutMilliseconds, workTimeoutMilliseconds, workTracker, log}} options
      */
     constructor(options) {
+        super();
+
         options = options || {};
 
         this.gracePeriodMilliseconds = options.gracePeriodMilliseconds;
+
+        /** @type {Number} max duration in milliseconds of a single finalizer, 0 means no timeout */
+        this.finalizerTimeoutMilliseconds = options.finalizerTimeoutMilliseconds || 0;
+
+        /** @type {Number} max duration in milliseconds of the connection draining, 0 means no timeout */
+        this.drainTimeoutMilliseconds = options.drainTimeoutMilliseconds || 0;
+
+        /** @type {boolean} destroy the remaining connections when the drain timeout is exceeded, otherwise leave them open and go on */
+        this.destroySocketsOnDrainTimeout = options.destroySocketsOnDrainTimeout !== false;
+
+        /** @type {Number} window in milliseconds given to WebSocket and SSE connections to close once draining starts, 0 means no window */
+        this.longLivedTimeoutMilliseconds = options.longLivedTimeoutMilliseconds === undefined ? 5000 : options.longLivedTimeoutMilliseconds;
+
+        /** @type {Number} interval in milliseconds of the in-flight request reports while draining, 0 means no reports */
+        this.drainProgressIntervalMilliseconds = options.drainProgressIntervalMilliseconds === undefined ? 1000 : options.drainProgressIntervalMilliseconds;
+
+        /** @type {Number} max duration in milliseconds of the wait for the tracked work once drained, 0 means no timeout */
+        this.workTimeoutMilliseconds = options.workTimeoutMilliseconds === undefined ? 10 * 1000 : options.workTimeoutMilliseconds;
+
+        /** @type {WorkTracker} background work the shutdown sequence waits for once the connections are drained */
+        this.workTracker = options.workTracker || new WorkTracker();
+
+        /** @type {Number} deadline in milliseconds of the whole shutdown sequence before forcing exit, 0 means no deadline */
+        this.shutdownTimeoutMilliseconds = options.shutdownTimeoutMilliseconds || 0;
+
+        /** @type {Number|undefined} exit code of a clean shutdown, defaults to 128 + signal number or 0 for other reasons */
+        this.exitCode = options.exitCode;
+
+        /** @type {Number} exit code when at least one finalizer failed or timed out */
+        this.finalizerFailureExitCode = options.finalizerFailureExitCode === undefined ? 1 : options.finalizerFailureExitCode;
+
+        /** @type {Number} exit code when the shutdown deadline is exceeded or a second signal is received */
+        this.forcedExitCode = options.forcedExitCode === undefined ? 128 + 1 : options.forcedExitCode;
+
+        /** @type {Number} delay in milliseconds between the end of the shutdown sequence and the process exit */
+        this.exitDelayMilliseconds = options.exitDelayMilliseconds === undefined ? 1000 : options.exitDelayMilliseconds;
+
+        /** @type {Number} max duration in milliseconds of the connection draining after an uncaught error */
+        this.crashDrainTimeoutMilliseconds = options.crashDrainTimeoutMilliseconds === undefined ? 5000 : options.crashDrainTimeoutMilliseconds;
+
+        /** @type {Number} max duration in milliseconds of the wait for the tracked work after an uncaught error, kept under the crash deadline */
+        this.crashWorkTimeoutMilliseconds = options.crashWorkTimeoutMilliseconds === undefined ? 2000 : options.crashWorkTimeoutMilliseconds;
+
+        /** @type {Number} deadline in milliseconds of the shutdown sequence after an uncaught error before forcing exit, 0 means no deadline */
+        this.crashTimeoutMilliseconds = options.crashTimeoutMilliseconds === undefined ? 10 * 1000 : options.crashTimeoutMilliseconds;
+
+        /** @type {Number} exit code after an uncaught error */
+        this.crashExitCode = options.crashExitCode === undefined ? 1 : options.crashExitCode;
+
+        /** @type {boolean} true once an uncaught error occurred */
+        this.crashed = false;
+
+        /** @type {Timeout|undefined} timer of the crash deadline */
+        this.crashDeadline = undefined;
+
+        /** @type {string[]} names of the finalizers that failed or timed out during the running shutdown sequence */
+        this.failedFinalizers = [];
+
+        /** @type {Set<string>} steps of the running shutdown sequence that did not finish yet */
+        this.pendingSteps = new Set();
+
+        /** @type {{server, framework, connections, inFlight, durationMilliseconds, timedOut, error}[]} drain results of the running shutdown sequence */
+        this.drainResults = [];
+
+        /** @type {Number|undefined} start time of the running shutdown sequence */
+        this.startedAt = undefined;
+
+        /** @type {Logger} */
+        this.log = options.log || new Logger();
     }
 
     /**
      *
-     * @param {net.Server}  server
+     * @returns {Number} milliseconds elapsed since the start of the shutdown sequence
+     */
+    elapsed() {
+        return this.startedAt === undefined ? 0 : Date.now() - this.startedAt;
+    }
+
+    /**
+     *
+     * @param {net.Server|{name, server, order}[]} servers server or named servers to drain, the first one is passed to the finalizers
      * @param {string}      signal
-     * @param {function[]} finalizers to be executed at the end of the graceful sequence
-     * @param {function} callback
+     * @param {function[]|function[][]} finalizers to be executed at the end of the graceful sequence, optionally grouped by phase
+     * @param {function[]} [drainHandlers] notified when draining starts, to close long-lived connections
+     * @param {function} callback called with the shutdown report {servers: drain results}
      */
-    gracefulShutdown(server, signal, finalizers, callback) {
-        log.info('invoke graceful shutdown after %dms caused by signal.', this.gracePeriodMilliseconds);
+    gracefulShutdown(servers, signal, finalizers, drainHandlers, callback) {
+        if (typeof drainHandlers === 'function') {
+            callback = drainHandlers;
+            drainHandlers = [];
+        }
+
+        servers = ServerKiller.ensureServers(servers);
+
+        this.startedAt = Date.now();
+        this.drainResults = [];
+        this.failedFinalizers = [];
+
+        if (this.crashed === true) {
+            this.log.info({event: 'shutdown', signal: signal}, 'invoke crash shutdown caused by %s without grace period.', signal);
+        } else {
+            this.log.info({event: 'shutdown', signal: signal},
+                'invoke graceful shutdown after %dms caused by %s.', this.gracePeriodMilliseconds, signal);
+        }
 
         let tasks = [
-            this.waitGracePeriod.bind(this),
-            this.drainConnections.bind(this, server),
-            this.runFinalizers.bind(this, server, finalizers),
-            this.destroyServer.bind(this, signal),
+            this.trackStep('drain connections', this.drainConnections.bind(this, servers, drainHandlers)),
+            this.trackStep('wait for work', this.waitForWork.bind(this)),
+            this.runFinalizers.bind(this, servers[0].server, finalizers),
+            this.trackStep('destroy server', this.destroyServer.bind(this, signal)),
         ];
 
-        async.waterfall(tasks, function () {
-            callback();
+        // after an uncaught error the process state is unreliable, do not wait for the routing update
+        if (this.crashed === false) {
+            tasks.unshift(this.trackStep('grace period', this.waitGracePeriod.bind(this)));
+        }
+
+        let deadline;
+
+        if (this.shutdownTimeoutMilliseconds > 0) {
+            deadline = setTimeout(() => {
+                this.forceExit(signal, Array.from(this.pendingSteps));
+            }, this.shutdownTimeoutMilliseconds);
+        }
+
+        async.waterfall(tasks, () => {
+            clearTimeout(deadline);
+            clearTimeout(this.crashDeadline);
+            this.log.debug({event: 'shutdownEnd', elapsedMilliseconds: this.elapsed()}, 'graceful shutdown sequence completed');
+            callback(undefined, {servers: this.drainResults});
         });
     }
 
+    /**
+     * shortened shutdown sequence after an uncaught error: no grace period, connection draining limited
+     * by crashDrainTimeoutMilliseconds, wait for the tracked work limited by crashWorkTimeoutMilliseconds and exit with crashExitCode
+     *
+     * @param {net.Server|{name, server, order}[]} servers
+     * @param {string}      reason
+     * @param {function[]|function[][]} finalizers critical finalizers to be executed
+     * @param {function[]} [drainHandlers] notified when draining starts, to close long-lived connections
+     * @param {function} callback called with the shutdown report {servers: drain results}
+     */
+    crashShutdown(servers, reason, finalizers, drainHandlers, callback) {
+        this.markCrashed(reason);
+        this.gracefulShutdown(servers, reason, finalizers, drainHandlers, callback);
+    }
+
+    /**
+     * flags the uncaught error and arms the crash deadline, a hanging finalizer or drain must not keep a crashed process alive
+     *
+     * @param {string} signal reported by the "exit" event if the deadline is exceeded
+     */
+    markCrashed(signal) {
+        this.crashed = true;
+
+        if (this.crashTimeoutMilliseconds > 0 && this.crashDeadline === undefined) {
+            this.crashDeadline = setTimeout(() => {
+                this.forceExit(signal, Array.from(this.pendingSteps), this.crashTimeoutMilliseconds);
+            }, this.crashTimeoutMilliseconds);
+        }
+    }
+
+    /**
+     * clears the crash flag and disarms the crash deadline
+     */
+    resetCrash() {
+        clearTimeout(this.crashDeadline);
+
+        this.crashed = false;
+        this.crashDeadline = undefined;
+    }
+
+    /**
+     *
+     * @param {net.Server|{name, server, order}[]} servers
+     *
+     * @returns {{name, server, order}[]}
+     */
+    static ensureServers(servers) {
+        if (Array.isArray(servers)) {
+            return servers;
+        }
+
+        return [{name: 'main', server: servers, order: 0}];
+    }
+
+    /**
+     * keeps track of the given step in pendingSteps while it is running
+     *
+     * @param {string}   name
+     * @param {function} task taking a callback as last argument
+     *
+     * @returns {function}
+     */
+    trackStep(name, task) {
+        return (callback) => {
+            this.pendingSteps.add(name);
+
+            task((error) => {
+                this.pendingSteps.delete(name);
+                callback(error);
+            });
+        };
+    }
+
     /**
      *
      * @param {function} callback
      */
     waitGracePeriod(callback) {
-        log.info('wait grace period: enable cluster to remove pod from routing.');
-        setTimeout(callback, this.gracePeriodMilliseconds);
+        this.log.info({event: 'gracePeriodStart', elapsedMilliseconds: this.elapsed()},
+            'wait grace period: enable cluster to remove pod from routing.');
+        this.emit('gracePeriodStart', {gracePeriodMilliseconds: this.gracePeriodMilliseconds, elapsedMilliseconds: this.elapsed()});
+
+        setTimeout(() => {
+            this.emit('gracePeriodEnd', {gracePeriodMilliseconds: this.gracePeriodMilliseconds, elapsedMilliseconds: this.elapsed()});
+            callback();
+        }, this.gracePeriodMilliseconds);
     }
 
 
     /**
+     * drains the servers in ascending order, the servers of the same order in parallel
+     *
+     * @param {net.Server|{name, server, order}[]} servers
+     * @param {function[]} [drainHandlers] notified when draining starts, to close long-lived connections
+     * @param {function} callback
+     */
+    drainConnections(servers, drainHandlers, callback) {
+        if (typeof drainHandlers === 'function') {
+            callback = drainHandlers;
+            drainHandlers = [];
+        }
+
+        servers = ServerKiller.ensureServers(servers);
+
+        const window = this.closeLongLivedConnections(servers, drainHandlers);
+
+        const groups = new Map();
+
+        servers.forEach(entry => {
+            if (!groups.has(entry.order)) {
+                groups.set(entry.order, []);
+            }
+
+            groups.get(entry.order).push(entry);
+        });
+
+        const orders = Array.from(groups.keys()).sort((a, b) => a - b);
+
+        async.eachSeries(orders, (order, cb) => {
+            async.each(groups.get(order), (entry, next) => {
+                this.drainServer(entry, (result) => {
+                    this.drainResults.push(result);
+                    next();
+                });
+            }, cb);
+        }, () => {
+            clearTimeout(window);
+            callback();
+        });
+    }
+
+    /**
+     * waits for the tracked work, e.g. started by the drained requests, logs the tasks still pending after workTimeoutMilliseconds
      *
-     * @param {net.Server}  server
      * @param {function} callback
      */
-    drainConnections(server, callback) {
-        const serv = server.hasOwnProperty('server') ? server.server : server;
+    waitForWork(callback) {
+        const startedAt = Date.now();
+        const count = this.workTracker.tasks.size;
+        // long-lived tokens, e.g. of a queue consumer, must not delay the critical finalizers beyond the crash deadline
+        const workTimeoutMilliseconds = this.crashed ? this.crashWorkTimeoutMilliseconds : this.workTimeoutMilliseconds;
+
+        if (count > 0) {
+            this.log.info({event: 'workDraining', tasks: count, elapsedMilliseconds: this.elapsed()},
+                'wait for work: %d tracked tasks pending', count);
+        }
+
+        this.workTracker.wait(workTimeoutMilliseconds, (result) => {
+            if (result.timedOut === true) {
+                this.log.warn({event: 'workTimeout', pendingTasks: result.pending, elapsedMilliseconds: this.elapsed()},
+                    'wait for work: timed out after %dms, pending tasks: %s', workTimeoutMilliseconds, result.pending.join(', '));
+            }
+
+            this.emit('workDrained', {
+                tasks: count,
+                pendingTasks: result.pending,
+                timedOut: result.timedOut,
+                durationMilliseconds: Date.now() - startedAt,
+                elapsedMilliseconds: this.elapsed(),
+            });
 
-        log.info('drain connections: close http listener and wait for pending requests.');
-        serv.shutdown(function () {
             callback();
         });
     }
 
+    /**
+     * notifies the drain handlers, e.g. to send a WebSocket close frame or a SSE retry hint, and destroys
+     * the long-lived connections still open after longLivedTimeoutMilliseconds
+     *
+     * @param {{name, server, order}[]} servers
+     * @param {function[]} drainHandlers taking the first server as argument
+     *
+     * @returns {Timeout|undefined} timer of the close window
+     */
+    closeLongLivedConnections(servers, drainHandlers) {
+        drainHandlers.forEach(handler => {
+            this.log.info({event: 'drainHandler', handler: handler.name, elapsedMilliseconds: this.elapsed()},
+                'drain connections: notify drain handler "%s"', handler.name);
+
+            invoke.invoke(handler, [servers[0].server], (error) => {
+                if (error !== null && error !== undefined) {
+                    this.log.error({event: 'drainHandlerError', handler: handler.name, elapsedMilliseconds: this.elapsed()},
+                        'drain connections: drain handler "%s" failed with error: %s', handler.name, error.stack || error);
+                }
+            });
+        });
+
+        if (this.longLivedTimeoutMilliseconds <= 0) {
+            return undefined;
+        }
+
+        const window = setTimeout(() => {
+            servers.forEach(entry => {
+                const tracker = adapters.detect(entry.server).netServer(entry.server).connectionTracker;
+                const count = tracker === undefined ? 0 : tracker.destroyLongLived();
+
+                if (count > 0) {
+                    this.log.warn({event: 'longLivedTimeout', server: entry.name, connections: count, elapsedMilliseconds: this.elapsed()},
+                        'drain connections: "%s" destroyed %d long-lived connections still open after %dms.',
+                        entry.name, count, this.longLivedTimeoutMilliseconds);
+                }
+            });
+        }, this.longLivedTimeoutMilliseconds);
+
+        window.unref();
+
+        return window;
+    }
+
+    /**
+     *
+     * @param {{name, server}} entry
+     * @param {function} callback called with the drain result {server, framework, connections, inFlight, durationMilliseconds, timedOut, error}
+     */
+    drainServer(entry, callback) {
+        const adapter = adapters.detect(entry.server);
+        const serv = adapter.netServer(entry.server);
+        const tracker = serv.connectionTracker;
+        const result = {server: entry.name, framework: adapter.name, connections: 0, inFlight: 0, durationMilliseconds: 0, timedOut: false, error: undefined};
+        const fields = {server: entry.name};
+        const drainTimeoutMilliseconds = this.crashed ? this.crashDrainTimeoutMilliseconds : this.drainTimeoutMilliseconds;
+
+        let timer;
+        let progress;
+        let finished = false;
+
+        const startedAt = Date.now();
+
+        const done = (error) => {
+            if (finished === true) {
+                return;
+            }
+
+            finished = true;
+
+            clearTimeout(timer);
+            clearInterval(progress);
+
+            result.durationMilliseconds = Date.now() - startedAt;
+
+            if (error !== null && error !== undefined) {
+                result.error = error;
+
+                this.log.error(Object.assign({event: 'drainError', elapsedMilliseconds: this.elapsed()}, fields),
+                    'drain connections: "%s" failed with error: %s', entry.name, error.stack || error);
+            }
+
+            this.log.info(Object.assign({event: 'drained', durationMilliseconds: result.durationMilliseconds, elapsedMilliseconds: this.elapsed()}, fields),
+                'drain connections: "%s" closed in %dms.', entry.name, result.durationMilliseconds);
+            this.emit('drained', Object.assign({elapsedMilliseconds: this.elapsed()}, result));
+            callback(result);
+        };
+
+        if (drainTimeoutMilliseconds > 0) {
+            timer = setTimeout(() => {
+                result.timedOut = true;
+
+                if (this.destroySocketsOnDrainTimeout === false) {
+                    this.log.warn(Object.assign({event: 'drainTimeout', elapsedMilliseconds: this.elapsed()}, fields),
+                        'drain connections: "%s" timed out after %dms - leaving remaining connections open.', entry.name, drainTimeoutMilliseconds);
+                    done();
+                    return;
+                }
+
+                this.log.warn(Object.assign({event: 'drainTimeout', elapsedMilliseconds: this.elapsed()}, fields),
+                    'drain connections: "%s" timed out after %dms - closing remaining connections.', entry.name, drainTimeoutMilliseconds);
+                serv.forceShutdown();
+
+                if (tracker !== undefined) {
+                    tracker.destroy();
+                }
+            }, drainTimeoutMilliseconds);
+        }
+
+        if (tracker !== undefined) {
+            result.inFlight = tracker.inFlight();
+            tracker.drain();
+
+            if (this.drainProgressIntervalMilliseconds > 0) {
+                progress = setInterval(() => {
+                    const report = {server: entry.name, inFlight: tracker.inFlight(), connections: tracker.connections(), elapsedMilliseconds: this.elapsed()};
+
+                    this.log.info(Object.assign({event: 'drainProgress'}, report),
+                        'drain connections: "%s" waiting for %d in-flight requests on %d connections.', entry.name, report.inFlight, report.connections);
+                    this.emit('drainProgress', report);
+                }, this.drainProgressIntervalMilliseconds);
+                progress.unref();
+            }
+        }
+
+        serv.getConnections((error, count) => {
+            result.connections = error ? 0 : count;
+
+            this.emit('draining', {
+                server: entry.name,
+                framework: adapter.name,
+                connections: result.connections,
+                inFlight: result.inFlight,
+                elapsedMilliseconds: this.elapsed(),
+            });
+
+            if (typeof adapter.close === 'function') {
+                this.log.info(Object.assign({event: 'draining', connections: result.connections, inFlight: result.inFlight, elapsedMilliseconds: this.elapsed()}, fields),
+                    'drain connections: close %s server "%s" and wait for %d in-flight requests.', adapter.name, entry.name, result.inFlight);
+                adapter.close(entry.server, drainTimeoutMilliseconds, done);
+                return;
+            }
+
+            this.log.info(Object.assign({event: 'draining', connections: result.connections, inFlight: result.inFlight, elapsedMilliseconds: this.elapsed()}, fields),
+                'drain connections: close http listener "%s" and wait for %d in-flight requests.', entry.name, result.inFlight);
+            serv.shutdown(function () {
+                done();
+            });
+        });
+    }
+
     /**
      *
      * @param {net.Server}  server
-     * @param {function[]} finalizers to be executed at the end of the graceful sequence
+     * @param {function[]|function[][]} finalizers to be executed at the end of the graceful sequence,
+     *                                  phases run one after another, the finalizers of a phase in parallel
      * @param {function} callback
      */
     runFinalizers(server, finalizers, callback) {
+        const phases = finalizers.some(Array.isArray) ? finalizers : [finalizers];
+
+        this.log.info({event: 'finalizers', elapsedMilliseconds: this.elapsed()}, 'server shut down: execute finalizers');
+        async.eachOfSeries(phases, (phase, index, cb) => {
+            if (phases.length > 1) {
+                this.log.info({event: 'finalizerPhase', phase: index + 1, elapsedMilliseconds: this.elapsed()},
+                    'server shut down: execute finalizer phase %d/%d', index + 1, phases.length);
+            }
+
+            this.runFinalizerPhase(server, phase, index + 1, cb);
+        }, () => {
+            this.log.info({event: 'finalizersEnd', elapsedMilliseconds: this.elapsed()}, 'server shut down: finalizers all executed');
+            callback();
+        });
+    }
+
+    /**
+     *
+     * @param {net.Server}  server
+     * @param {function[]} finalizers to be executed in parallel
+     * @param {Number}   phase number of the phase, starting at 1
+     * @param {function} callback
+     */
+    runFinalizerPhase(server, finalizers, phase, callback) {
         let tasks = finalizers.map(finalizer => {
-            return function (server, cb) {
-                log.info('running finalizer "' + finalizer.name + '"')
-                finalizer(server, cb);
-            }.bind(null, server);
+            const fields = {phase: phase, finalizer: finalizer.name};
+            let startedAt;
+
+            let run = (cb) => {
+                startedAt = Date.now();
+
+                this.log.info(Object.assign({event: 'finalizerStart', elapsedMilliseconds: this.elapsed()}, fields),
+                    'running finalizer "' + finalizer.name + '"');
+                this.emit('finalizerStart', Object.assign({elapsedMilliseconds: this.elapsed()}, fields));
+                invoke.invoke(finalizer, [server], cb);
+            };
+
+            if (this.finalizerTimeoutMilliseconds > 0) {
+                run = async.timeout(run, this.finalizerTimeoutMilliseconds);
+            }
+
+            // a failing finalizer must neither prevent the others nor the process exit
+            return async.reflect(this.trackStep('finalizer "' + finalizer.name + '"', (cb) => {
+                run((error) => {
+                    const end = Object.assign({
+                        durationMilliseconds: Date.now() - startedAt,
+                        elapsedMilliseconds: this.elapsed(),
+                    }, fields);
+
+                    if (error === null || error === undefined) {
+                        this.log.info(Object.assign({event: 'finalizerEnd'}, end),
+                            'finalizer "%s" executed in %dms', finalizer.name, end.durationMilliseconds);
+                        this.emit('finalizerEnd', end);
+
+                        cb();
+                        return;
+                    }
+
+                    if (error.code === 'ETIMEDOUT') {
+                        this.log.error(Object.assign({event: 'finalizerError'}, end),
+                            'finalizer "%s" timed out after %dms', finalizer.name, this.finalizerTimeoutMilliseconds);
+                    } else {
+                        this.log.error(Object.assign({event: 'finalizerError'}, end),
+                            'finalizer "%s" failed with error: %s', finalizer.name, error.stack || error);
+                    }
+
+                    this.failedFinalizers.push(finalizer.name);
+                    this.emit('finalizerError', Object.assign({error: error}, end));
+
+                    cb(error);
+                });
+            }));
         });
 
-        log.info('server shut down: execute finalizers');
-        async.parallel(tasks, (error) => {
-            log.info('server shut down: finalizers all executed');
-            callback(error)
+        async.parallel(tasks, () => {
+            callback();
         });
     }
 
+    /**
+     * exit code of the process at the end of the shutdown sequence
+     *
+     * @param {string} signal signal or reason of the shutdown
+     *
+     * @returns {Number}
+     */
+    resolveExitCode(signal) {
+        if (this.crashed === true) {
+            return this.crashExitCode;
+        }
+
+        if (this.failedFinalizers.length > 0) {
+            return this.finalizerFailureExitCode;
+        }
+
+        if (this.exitCode !== undefined) {
+            return this.exitCode;
+        }
+
+        // a programmatic shutdown, e.g. by an admin endpoint, is a regular exit
+        if (!signals.isSignal(signal)) {
+            return 0;
+        }
+
+        return 128 + signals.codeNumber(signal);
+    }
+
     /**
      *
      * @param {string}     signal
      * @param {function} callback
      */
     destroyServer(signal, callback) {
-        log.info('server shut down: schedule process exit');
+        const exitCode = this.resolveExitCode(signal);
+
+        this.log.info({event: 'exit', exitCode: exitCode, failedFinalizers: this.failedFinalizers, elapsedMilliseconds: this.elapsed()},
+            'server shut down: schedule process exit with code %d in %dms', exitCode, this.exitDelayMilliseconds);
+        this.emit('exit', {signal: signal, exitCode: exitCode, forced: false, elapsedMilliseconds: this.elapsed()});
+
         setTimeout(function () {
-            process.exit(128 + signals.codeNumber(signal))
-        }, 1000);
+            process.exit(exitCode)
+        }, this.exitDelayMilliseconds);
 
         callback();
     }
+
+    /**
+     * exits the process when the shutdown sequence exceeds its deadline, with crashExitCode after an uncaught error
+     *
+     * @param {string}   signal
+     * @param {string[]} unfinishedSteps
+     * @param {Number}   [deadlineMilliseconds] defaults to shutdownTimeoutMilliseconds
+     */
+    forceExit(signal, unfinishedSteps, deadlineMilliseconds) {
+        const exitCode = this.crashed === true ? this.crashExitCode : this.forcedExitCode;
+
+        this.log.error({event: 'forceExit', unfinishedSteps: unfinishedSteps, elapsedMilliseconds: this.elapsed()},
+            'server shut down: deadline of %dms exceeded, unfinished steps: %s - force exit',
+            deadlineMilliseconds === undefined ? this.shutdownTimeoutMilliseconds : deadlineMilliseconds, unfinishedSteps.join(', ') || 'none');
+        this.emit('exit', {
+            signal: signal,
+            exitCode: exitCode,
+            forced: true,
+            unfinishedSteps: unfinishedSteps,
+            elapsedMilliseconds: this.elapsed(),
+        });
+
+        process.exit(exitCode);
+    }
 }
 
 module.exports = ServerKiller;
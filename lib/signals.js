@@ -1,15 +1,15 @@
 'use strict';
 
+const os = require('os');
+
 /**
+ * signal numbers of the running platform, e.g. SIGHUP: 1, SIGINT: 2, SIGQUIT: 3, SIGTERM: 15
  *
- * @see https://people.cs.pitt.edu/~alanjawi/cs449/code/shell/UnixSignals.htm
+ * @see https://nodejs.org/api/os.html#signal-constants
  *
- * @type {{SIGINT: number, SIGTERM: number}}
+ * @type {Object<string, number>}
  */
-const signals = {
-    SIGINT: 3,
-    SIGTERM: 15
-};
+const signals = os.constants.signals;
 
 /**
  *
@@ -20,4 +20,16 @@ function codeNumber(signal) {
     return signals[signal] || 1;
 }
 
-module.exports = { codeNumber: codeNumber };
+/**
+ *
+ * @param reason
+ * @returns {boolean}
+ */
+function isSignal(reason) {
+    return Object.prototype.hasOwnProperty.call(signals, reason);
+}
+
+module.exports = {
+    codeNumber: codeNumber,
+    isSignal: isSignal,
+};
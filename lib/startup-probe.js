@@ -0,0 +1,208 @@
+'use strict';
+
+const async = require('async');
+const EventEmitter = require('events');
+const invoke = require('./invoke');
+const Logger = require('./log');
+
+
+/**
+ * one-time startup conditions like migrations done or cache warmed, each check has to pass once
+ *
+ * emits "startupCheckEnd" after each check run, "started" once all checks passed and "startupTimeout"
+ */
+class StartupProbe extends EventEmitter {
+
+    /**
+     *
+     * @param {{checks, timeoutMilliseconds, intervalMilliseconds, log}} options
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        /** @type {Function[]} startup check functions */
+        this.checks = options.checks || [];
+
+        /** @type {Number} max duration in milliseconds of the startup once started, 0 means no timeout */
+        this.timeoutMilliseconds = options.timeoutMilliseconds || 0;
+
+        /** @type {Number} interval in milliseconds of the background check runs until the startup completed */
+        this.intervalMilliseconds = options.intervalMilliseconds === undefined ? 1000 : options.intervalMilliseconds;
+
+        /** @type {Logger} */
+        this.log = options.log || new Logger();
+
+        /** @type {boolean} true once all startup checks passed */
+        this.started = false;
+
+        /** @type {Set<string>} names of the checks which passed once */
+        this.passed = new Set();
+
+        /** @type {Map<string, {status, error, durationMilliseconds, lastRunAt}>} last result of each check by name */
+        this.results = new Map();
+
+        this.running = false;
+        this.waiting = [];
+        this.timer = undefined;
+        this.deadline = undefined;
+        this.startedAt = undefined;
+    }
+
+    /**
+     * runs the checks which did not pass yet
+     *
+     * @param {function} callback called with an error until all checks passed
+     */
+    check(callback) {
+        if (this.started === true) {
+            callback();
+            return;
+        }
+
+        this.waiting.push(callback);
+
+        if (this.running === true) {
+            return;
+        }
+
+        this.running = true;
+
+        const tasks = this.checks.filter(check => !this.passed.has(check.name)).map(check => {
+            return async.reflect((cb) => {
+                const startedAt = Date.now();
+
+                invoke.invoke(check, [], (error) => {
+                    const durationMilliseconds = Date.now() - startedAt;
+                    const status = error === undefined ? 'passed' : 'failed';
+
+                    if (error === undefined) {
+                        this.passed.add(check.name);
+                    } else {
+                        this.log.warn({event: 'startupCheckError', check: check.name, durationMilliseconds: durationMilliseconds},
+                            'startup check "%s" failed with error: %s', check.name, error.message || error);
+                    }
+
+                    this.results.set(check.name, {status: status, error: error, durationMilliseconds: durationMilliseconds, lastRunAt: startedAt});
+                    this.emit('startupCheckEnd', {check: check.name, status: status, error: error, durationMilliseconds: durationMilliseconds});
+
+                    cb(error);
+                });
+            });
+        });
+
+        async.parallel(tasks, (_, results) => {
+            const failed = results.find(result => result.error !== undefined && result.error !== null);
+
+            this.running = false;
+
+            if (failed === undefined) {
+                this.complete();
+            }
+
+            const waiting = this.waiting;
+            this.waiting = [];
+
+            waiting.forEach(cb => cb(failed === undefined ? undefined : failed.error));
+        });
+    }
+
+    /**
+     * marks the startup as completed
+     */
+    complete() {
+        if (this.started === true) {
+            return;
+        }
+
+        this.started = true;
+        this.stop();
+
+        this.log.info({event: 'started'}, 'startup: completed');
+        this.emit('started', {checks: this.report()});
+    }
+
+    /**
+     *
+     * @returns {string[]} names of the checks which did not pass yet
+     */
+    pending() {
+        return this.checks.filter(check => !this.passed.has(check.name)).map(check => check.name);
+    }
+
+    /**
+     *
+     * @returns {{name, status, error, durationMilliseconds, lastRunAt}[]} last result of each registered check,
+     *          status is "passed", "failed" or "pending" if the check did not run yet
+     */
+    report() {
+        return this.checks.map(check => {
+            const result = this.results.get(check.name);
+
+            if (result === undefined) {
+                return { name: check.name, status: 'pending', error: null, durationMilliseconds: null, lastRunAt: null };
+            }
+
+            return {
+                name: check.name,
+                status: this.passed.has(check.name) ? 'passed' : result.status,
+                error: result.error === undefined ? null : (result.error.message || String(result.error)),
+                durationMilliseconds: result.durationMilliseconds,
+                lastRunAt: new Date(result.lastRunAt).toISOString(),
+            };
+        });
+    }
+
+    /**
+     * runs the checks in the background until the startup completed and starts the startup timeout
+     */
+    start() {
+        if (this.started === true || this.startedAt !== undefined) {
+            return;
+        }
+
+        this.startedAt = Date.now();
+
+        if (this.checks.length > 0 && this.intervalMilliseconds > 0) {
+            this.timer = setInterval(() => this.check(() => {}), this.intervalMilliseconds);
+            this.timer.unref();
+        }
+
+        if (this.timeoutMilliseconds > 0) {
+            this.deadline = setTimeout(() => {
+                const pending = this.pending();
+
+                this.log.error({event: 'startupTimeout', pendingChecks: pending},
+                    'startup: not completed after %dms, pending checks: %s', this.timeoutMilliseconds, pending.join(', ') || 'none');
+                this.emit('startupTimeout', {timeoutMilliseconds: this.timeoutMilliseconds, pendingChecks: pending});
+            }, this.timeoutMilliseconds);
+            this.deadline.unref();
+        }
+    }
+
+    /**
+     * stops the background check runs and the startup timeout
+     */
+    stop() {
+        clearInterval(this.timer);
+        clearTimeout(this.deadline);
+
+        this.timer = undefined;
+        this.deadline = undefined;
+        this.startedAt = undefined;
+    }
+
+    /**
+     * forgets the passed checks
+     */
+    reset() {
+        this.stop();
+
+        this.started = false;
+        this.passed.clear();
+        this.results.clear();
+    }
+}
+
+module.exports = StartupProbe;
@@ -0,0 +1,91 @@
+'use strict';
+
+const async = require('async');
+const invoke = require('./invoke');
+
+/** @type {string} type of the message asking a worker thread to finish its current job and exit */
+const shutdownMessage = 'graceful-shutdown';
+
+
+/**
+ * asks the worker threads to finish their current job and waits for them to exit, a worker thread still running
+ * after the timeout is terminated, a worker thread already exited is reported with an undefined exit code
+ *
+ * @param {Worker[]} workers worker_threads workers
+ * @param {{reason, timeoutMilliseconds}} [options] timeoutMilliseconds defaults to 30000, 0 means no timeout
+ * @param {function} [callback] returns a Promise if omitted, called with the results {threadId, exitCode, timedOut, durationMilliseconds}
+ *
+ * @returns {Promise|undefined}
+ */
+function stopThreads(workers, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    const timeoutMilliseconds = options.timeoutMilliseconds === undefined ? 30 * 1000 : options.timeoutMilliseconds;
+
+    return invoke.callbackOrPromise((cb) => {
+        async.map(workers, (worker, next) => {
+            const startedAt = Date.now();
+            const result = {threadId: worker.threadId, exitCode: undefined, timedOut: false, durationMilliseconds: 0};
+
+            let timer;
+
+            // the thread id of an exited worker is -1, its "exit" event will not be emitted again
+            if (worker.threadId === -1) {
+                next(undefined, result);
+                return;
+            }
+
+            worker.once('exit', (exitCode) => {
+                clearTimeout(timer);
+
+                result.exitCode = exitCode;
+                result.durationMilliseconds = Date.now() - startedAt;
+
+                next(undefined, result);
+            });
+
+            if (timeoutMilliseconds > 0) {
+                timer = setTimeout(() => {
+                    result.timedOut = true;
+                    worker.terminate();
+                }, timeoutMilliseconds);
+            }
+
+            worker.postMessage({type: shutdownMessage, reason: options.reason});
+        }, cb);
+    }, callback);
+}
+
+/**
+ * runs the given function in a worker thread once asked to shut down, then ends the thread
+ *
+ * @param {function} fn finishing the current job, taking "reason" and "callback" arguments or returning a Promise
+ * @param {MessagePort} [port] defaults to the parentPort of the worker thread
+ */
+function handleThreadShutdown(fn, port) {
+    port = port || require('worker_threads').parentPort;
+
+    port.on('message', function onShutdownMessage(message) {
+        if (message === null || typeof message !== 'object' || message.type !== shutdownMessage) {
+            return;
+        }
+
+        port.removeListener('message', onShutdownMessage);
+
+        invoke.invoke(fn, [message.reason], (error) => {
+            // ends the worker thread only
+            process.exit(error === null || error === undefined ? 0 : 1);
+        });
+    });
+}
+
+module.exports = {
+    stopThreads: stopThreads,
+    handleThreadShutdown: handleThreadShutdown,
+    shutdownMessage: shutdownMessage,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+
+/**
+ * keeps track of the work running outside of the http requests, e.g. queue consumers, cron jobs or
+ * fire-and-forget work started by a request, so the shutdown sequence can wait for it
+ *
+ * emits "idle" once the last tracked task ended
+ */
+class WorkTracker extends EventEmitter {
+
+    constructor() {
+        super();
+
+        /** @type {Set<{name, startedAt}>} tasks not ended yet */
+        this.tasks = new Set();
+    }
+
+    /**
+     * starts tracking a task until "end()" of the returned token is called
+     *
+     * @param {string} [name] reported if the task is still pending when the work timeout is exceeded
+     *
+     * @returns {{name, end: function}} token
+     */
+    begin(name) {
+        if (name !== undefined && (typeof name !== 'string' || name === '')) {
+            throw new TypeError('tracked work name has to be a non empty string');
+        }
+
+        const task = {name: name || 'anonymous', startedAt: Date.now()};
+
+        this.tasks.add(task);
+
+        return {
+            name: task.name,
+            end: () => {
+                // ending a token twice has no effect
+                if (this.tasks.delete(task) === true && this.tasks.size === 0) {
+                    this.emit('idle');
+                }
+            },
+        };
+    }
+
+    /**
+     * tracks a task until the given promise settles
+     *
+     * @param {Promise} promise
+     * @param {string}  [name]
+     *
+     * @returns {Promise} settling like the given promise once the task ended, its rejection may be left unhandled
+     */
+    track(promise, name) {
+        if (promise === null || typeof promise !== 'object' || typeof promise.then !== 'function') {
+            throw new TypeError('tracked work has to be a Promise');
+        }
+
+        const token = this.begin(name);
+
+        const tracked = Promise.resolve(promise).finally(token.end);
+
+        // fire-and-forget work handled on the given promise must not end up as an unhandled rejection
+        tracked.catch(() => {});
+
+        return tracked;
+    }
+
+    /**
+     *
+     * @returns {string[]} names of the tasks not ended yet
+     */
+    pending() {
+        return Array.from(this.tasks).map(task => task.name);
+    }
+
+    /**
+     * waits until all tracked tasks ended
+     *
+     * @param {Number}   timeoutMilliseconds 0 means no timeout
+     * @param {function} callback called with {timedOut, pending} once idle or timed out
+     */
+    wait(timeoutMilliseconds, callback) {
+        if (this.tasks.size === 0) {
+            callback({timedOut: false, pending: []});
+            return;
+        }
+
+        let timer;
+
+        const onIdle = () => {
+            clearTimeout(timer);
+            callback({timedOut: false, pending: []});
+        };
+
+        this.once('idle', onIdle);
+
+        if (timeoutMilliseconds > 0) {
+            timer = setTimeout(() => {
+                this.removeListener('idle', onIdle);
+                callback({timedOut: true, pending: this.pending()});
+            }, timeoutMilliseconds);
+        }
+    }
+}
+
+module.exports = WorkTracker;
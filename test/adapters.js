@@ -0,0 +1,523 @@
+'use strict';
+
+const expect = require('chai').expect;
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Koa = require('koa');
+const fastify = require('fastify');
+const Hapi = require('@hapi/hapi');
+const restify = require('restify');
+const sgsd = require('../index');
+const adapters = require('../lib/adapters');
+
+describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Framework Adapters', function() {
+    let healthy;
+    let readinessChecks;
+
+    beforeEach(function () {
+        healthy = true;
+        readinessChecks = [
+            function checkDB(callback) {
+                callback(healthy === true ? undefined : new Error('DB not reachable'));
+            },
+        ];
+    });
+
+    let get = function (port, path) {
+        return new Promise((resolve, reject) => {
+            http.get({host: '127.0.0.1', port: port, path: path}, (response) => {
+                let body = '';
+                response.on('data', chunk => body += chunk);
+                response.on('end', () => resolve({statusCode: response.statusCode, body: body}));
+            }).on('error', reject);
+        });
+    };
+
+    let killer = function () {
+        let serverKiller = new sgsd.ServerKiller({gracePeriodMilliseconds: 0});
+
+        serverKiller.destroyServer = function (signal, callback) {
+            callback();
+        };
+
+        return serverKiller;
+    };
+
+    describe(' - detection ', function () {
+
+        it('should throw an error for an unknown framework', function () {
+            expect(adapters.get.bind(null, 'sails')).to.throw('unknown framework "sails"');
+        });
+
+        it('should throw an error for an unsupported server', function () {
+            expect(adapters.detect.bind(null, {})).to.throw('provided server is no net.Server nor a supported framework server');
+        });
+
+        it('should detect a plain http server', function () {
+            let server = http.createServer();
+
+            expect(adapters.detect(server).name).to.equal('http');
+            expect(adapters.netServer(server)).to.equal(server);
+        });
+
+        it('should detect a https server', function () {
+            let server = https.createServer();
+
+            expect(adapters.detect(server).name).to.equal('https');
+            expect(adapters.netServer(server)).to.equal(server);
+        });
+
+        it('should detect a http2 server', function () {
+            let server = http2.createServer();
+
+            expect(adapters.detect(server).name).to.equal('http2');
+            expect(adapters.netServer(server)).to.equal(server);
+        });
+
+        it('should detect a restify like server wrapping a net.Server', function () {
+            let server = {server: http.createServer()};
+
+            expect(adapters.detect(server).name).to.equal('restify');
+            expect(adapters.netServer(server)).to.equal(server.server);
+        });
+
+        it('should ask for the listening server of an express application', function () {
+            let app = express();
+
+            expect(adapters.detect(app).name).to.equal('express');
+            expect(adapters.netServer.bind(null, app)).to.throw('provide the server returned by "app.listen()"');
+        });
+
+        it('should ask for the listening server of a koa application', function () {
+            let app = new Koa();
+
+            expect(adapters.detect(app).name).to.equal('koa');
+            expect(adapters.netServer.bind(null, app)).to.throw('provide the server returned by "app.listen()"');
+        });
+
+        it('should detect a fastify instance', function () {
+            let app = fastify();
+
+            expect(adapters.detect(app).name).to.equal('fastify');
+            expect(adapters.netServer(app)).to.equal(app.server);
+        });
+
+        it('should detect a hapi server', function () {
+            let server = Hapi.server();
+
+            expect(adapters.detect(server).name).to.equal('hapi');
+            expect(adapters.netServer(server)).to.equal(server.listener);
+        });
+
+    });
+
+    describe(' - http ', function () {
+
+        it('should serve the probes', async function () {
+            let server = http.createServer();
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            let handlers = graceful.probeHandlers();
+
+            server.on('request', (request, response) => {
+                if (request.url === '/health') {
+                    return handlers.liveness(request, response);
+                }
+
+                handlers.readiness(request, response);
+            });
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            try {
+                expect(await get(server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 200, body: 'READY'});
+
+                healthy = false;
+
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            } finally {
+                server.close();
+            }
+        });
+
+    });
+
+    describe(' - express ', function () {
+
+        it('should serve the probes', async function () {
+            let app = express();
+            let server = app.listen(0, '127.0.0.1');
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            let handlers = graceful.probeHandlers('express');
+
+            app.get('/health', handlers.liveness);
+            app.get('/health/readiness', handlers.readiness);
+
+            await new Promise(resolve => server.once('listening', resolve));
+
+            try {
+                expect(await get(server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                healthy = false;
+
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            } finally {
+                server.close();
+            }
+        });
+
+        it('should serve the bound probe handlers without deprecated express API', async function () {
+            let app = express();
+            let server = app.listen(0, '127.0.0.1');
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            let deprecations = [];
+            let onDeprecation = error => deprecations.push(error.message);
+
+            app.get('/health', graceful.liveliness);
+            app.get('/health/readiness', graceful.readiness);
+
+            await new Promise(resolve => server.once('listening', resolve));
+
+            // depd emits the deprecation warnings on the process instead of printing them once listened to
+            process.on('deprecation', onDeprecation);
+
+            try {
+                expect(await get(server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                healthy = false;
+
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+                expect(deprecations).to.deep.equal([]);
+            } finally {
+                process.removeListener('deprecation', onDeprecation);
+                server.close();
+            }
+        });
+
+        it('should serve a JSON readiness report', async function () {
+            let app = express();
+            let server = app.listen(0, '127.0.0.1');
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks, readinessReport: 'json'});
+
+            app.get('/health/readiness', graceful.probeHandlers('express').readiness);
+
+            await new Promise(resolve => server.once('listening', resolve));
+
+            try {
+                let response = await get(server.address().port, '/health/readiness');
+
+                expect(response.statusCode).to.equal(200);
+                expect(JSON.parse(response.body).status).to.equal('READY');
+            } finally {
+                server.close();
+            }
+        });
+
+    });
+
+    describe(' - restify ', function () {
+
+        it('should serve the probes', async function () {
+            let server = restify.createServer();
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            let handlers = graceful.probeHandlers();
+            let calls = [];
+
+            server.get('/health', handlers.liveness);
+            server.get('/health/readiness', handlers.readiness);
+
+            // the handlers hand over to the next handler of the chain once the response is sent
+            server.on('after', (request) => calls.push(request.url));
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            try {
+                expect(await get(server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                healthy = false;
+
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+                expect(calls).to.deep.equal(['/health', '/health/readiness']);
+            } finally {
+                server.close();
+            }
+        });
+
+        it('should drain the wrapped net.Server', async function () {
+            let server = restify.createServer();
+            let graceful = sgsd.enable(server, {killer: killer()});
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            await graceful.terminate('SIGTERM');
+            await graceful.dispose();
+
+            expect(server.server.listening).to.equal(false);
+        });
+
+    });
+
+    describe(' - koa ', function () {
+
+        it('should serve the probes', async function () {
+            let app = new Koa();
+            let handlers;
+
+            // koa composes the middleware on "listen"
+            app.use((ctx, next) => {
+                if (ctx.path === '/health') {
+                    return handlers.liveness(ctx, next);
+                }
+
+                if (ctx.path === '/health/readiness') {
+                    return handlers.readiness(ctx, next);
+                }
+
+                return next();
+            });
+
+            let server = app.listen(0, '127.0.0.1');
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            handlers = graceful.probeHandlers('koa');
+
+            await new Promise(resolve => server.once('listening', resolve));
+
+            try {
+                expect(await get(server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 200, body: 'READY'});
+
+                healthy = false;
+
+                expect(await get(server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            } finally {
+                server.close();
+            }
+        });
+
+    });
+
+    describe(' - fastify ', function () {
+
+        it('should serve the probes', async function () {
+            let app = fastify();
+            let graceful = new sgsd.ServerGracefulShutdown(app, {readinessChecks: readinessChecks});
+            let handlers = graceful.probeHandlers();
+
+            app.get('/health', handlers.liveness);
+            app.get('/health/readiness', handlers.readiness);
+
+            await app.listen({port: 0, host: '127.0.0.1'});
+
+            try {
+                expect(await get(app.server.address().port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                healthy = false;
+
+                expect(await get(app.server.address().port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            } finally {
+                await app.close();
+            }
+        });
+
+        it('should drain through "fastify.close()" running the "onClose" hooks', async function () {
+            let app = fastify();
+            let calls = [];
+
+            app.addHook('onClose', (instance, done) => {
+                calls.push('onClose');
+                done();
+            });
+
+            let graceful = sgsd.enable(app, {
+                killer: killer(),
+                finalizers: [
+                    function finalizer1(server, callback) {
+                        calls.push('finalizer1');
+                        callback();
+                    },
+                ],
+            });
+
+            await app.listen({port: 0, host: '127.0.0.1'});
+            await graceful.terminate('SIGTERM');
+            await graceful.dispose();
+
+            expect(calls).to.deep.equal(['onClose', 'finalizer1']);
+            expect(app.server.listening).to.equal(false);
+        });
+
+    });
+
+    describe(' - https and http2 ', function () {
+        let tls;
+
+        before(function () {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'graceful-shutdown-'));
+
+            // self-signed certificate generated for the test run only
+            try {
+                childProcess.execFileSync('openssl', [
+                    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=localhost',
+                    '-keyout', path.join(directory, 'key.pem'), '-out', path.join(directory, 'cert.pem'),
+                ], {stdio: 'ignore'});
+            } catch (error) {
+                this.skip();
+            }
+
+            tls = {
+                key: fs.readFileSync(path.join(directory, 'key.pem')),
+                cert: fs.readFileSync(path.join(directory, 'cert.pem')),
+            };
+
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        let listen = function (server) {
+            return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        };
+
+        it('should drain a https server waiting for the in-flight request', async function () {
+            let release;
+            let server = https.createServer(tls, (request, response) => {
+                release = () => response.end('done');
+            });
+
+            let graceful = sgsd.enable(server, {killer: killer()});
+
+            await listen(server);
+
+            let response = new Promise((resolve, reject) => {
+                https.get({host: '127.0.0.1', port: server.address().port, rejectUnauthorized: false}, (response) => {
+                    let body = '';
+                    response.on('data', chunk => body += chunk);
+                    response.on('end', () => resolve({connection: response.headers.connection, body: body}));
+                }).on('error', reject);
+            });
+
+            while (release === undefined) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            let terminated = graceful.terminate('SIGTERM');
+
+            setTimeout(release, 20);
+
+            let report = await terminated;
+            await graceful.dispose();
+
+            expect(await response).to.deep.equal({connection: 'close', body: 'done'});
+            expect(report.servers[0]).to.include({framework: 'https', inFlight: 1, timedOut: false});
+            expect(server.listening).to.equal(false);
+        });
+
+        it('should close a https server without closeIdleConnections', function (done) {
+            // like on node < 18.2
+            let server = {close: callback => setImmediate(callback)};
+
+            adapters.get('https').close(server, 0, done);
+        });
+
+        [
+            {name: 'http2', create: (handler) => http2.createServer(handler), authority: 'http://127.0.0.1:'},
+            {name: 'secure http2', create: (handler) => http2.createSecureServer(tls, handler), authority: 'https://127.0.0.1:'},
+        ].forEach(variant => {
+            it('should send GOAWAY to the ' + variant.name + ' sessions and wait for the open streams', async function () {
+                let release;
+                let server = variant.create((request, response) => {
+                    release = () => response.end('done');
+                });
+
+                let graceful = sgsd.enable(server, {killer: killer()});
+
+                await listen(server);
+
+                let client = http2.connect(variant.authority + server.address().port, {rejectUnauthorized: false});
+                let goaway = new Promise(resolve => client.once('goaway', resolve));
+
+                let response = new Promise((resolve, reject) => {
+                    let body = '';
+                    let request = client.request({':path': '/'});
+
+                    request.setEncoding('utf8');
+                    request.on('data', chunk => body += chunk);
+                    request.on('end', () => resolve(body));
+                    request.on('error', reject);
+                });
+
+                while (release === undefined) {
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+
+                let terminated = graceful.terminate('SIGTERM');
+
+                await goaway;
+                release();
+
+                let report = await terminated;
+                await graceful.dispose();
+                client.close();
+
+                expect(await response).to.equal('done');
+                expect(report.servers[0]).to.include({framework: 'http2', inFlight: 1, timedOut: false});
+                expect(server.listening).to.equal(false);
+            });
+        });
+
+    });
+
+    describe(' - hapi ', function () {
+
+        it('should serve the probes', async function () {
+            let server = Hapi.server({port: 0, host: '127.0.0.1'});
+            let graceful = new sgsd.ServerGracefulShutdown(server, {readinessChecks: readinessChecks});
+            let handlers = graceful.probeHandlers();
+
+            server.route({method: 'GET', path: '/health', handler: handlers.liveness});
+            server.route({method: 'GET', path: '/health/readiness', handler: handlers.readiness});
+
+            await server.start();
+
+            try {
+                expect(await get(server.info.port, '/health')).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                healthy = false;
+
+                expect(await get(server.info.port, '/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            } finally {
+                await server.stop();
+            }
+        });
+
+        it('should drain through "server.stop()" running the stop extensions', async function () {
+            let server = Hapi.server({port: 0, host: '127.0.0.1'});
+            let calls = [];
+
+            server.ext('onPostStop', () => {
+                calls.push('onPostStop');
+            });
+
+            let graceful = sgsd.enable(server, {
+                killer: killer(),
+                finalizers: [
+                    function finalizer1(server, callback) {
+                        calls.push('finalizer1');
+                        callback();
+                    },
+                ],
+            });
+
+            await server.start();
+            await graceful.terminate('SIGTERM');
+            await graceful.dispose();
+
+            expect(calls).to.deep.equal(['onPostStop', 'finalizer1']);
+            expect(server.listener.listening).to.equal(false);
+        });
+
+    });
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const perfHooks = require('perf_hooks');
+const sgsd = require('../index');
+
+describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Dependency Checks', function() {
+
+    let run = function (check) {
+        return new Promise(resolve => check(resolve));
+    };
+
+    let listen = function (server, ...args) {
+        return new Promise(resolve => server.listen(...args, () => resolve(server)));
+    };
+
+    let close = function (server) {
+        return new Promise(resolve => server.close(() => resolve()));
+    };
+
+    describe(' - tcp ', function () {
+
+        it('should pass if the port accepts connections', async function () {
+            let server = await listen(net.createServer(socket => socket.end()), 0);
+            let check = sgsd.checks.tcp({port: server.address().port});
+
+            expect(check.name).to.equal('tcp:localhost:' + server.address().port);
+            expect(await run(check)).to.equal(undefined);
+
+            await close(server);
+        });
+
+        it('should fail if the port refuses connections', async function () {
+            let server = await listen(net.createServer(), 0);
+            let port = server.address().port;
+
+            await close(server);
+
+            let error = await run(sgsd.checks.tcp({name: 'checkDB', host: '127.0.0.1', port: port}));
+
+            expect(error.code).to.equal('ECONNREFUSED');
+        });
+
+        it('should throw an error if the port is not a number', function () {
+            expect(() => sgsd.checks.tcp({port: '5432'})).to.throw('port option of tcp check has to be a positive number');
+        });
+
+    });
+
+    describe(' - http ', function () {
+        let server;
+        let statusCode;
+
+        before(async function () {
+            server = await listen(http.createServer((request, response) => {
+                if (request.url === '/hang') {
+                    return;
+                }
+
+                response.writeHead(statusCode);
+                response.end();
+            }), 0);
+        });
+
+        after(function () {
+            // node < 18.2 has no closeAllConnections, the connections of the checks are not kept alive there
+            if (typeof server.closeAllConnections === 'function') {
+                server.closeAllConnections();
+            }
+
+            return close(server);
+        });
+
+        it('should pass if the URL answers with a 2xx status code', async function () {
+            let check = sgsd.checks.http({url: 'http://localhost:' + server.address().port + '/health'});
+
+            statusCode = 204;
+
+            expect(check.name).to.equal('http:localhost:' + server.address().port + '/health');
+            expect(await run(check)).to.equal(undefined);
+        });
+
+        it('should fail if the URL answers with another status code', async function () {
+            let check = sgsd.checks.http({name: 'checkPayment', url: 'http://localhost:' + server.address().port + '/health'});
+
+            statusCode = 503;
+
+            expect((await run(check)).message).to.equal('check "checkPayment" answered with status code 503');
+        });
+
+        it('should fail once the timeout is exceeded', async function () {
+            let check = sgsd.checks.http({name: 'checkPayment', url: 'http://localhost:' + server.address().port + '/hang', timeoutMilliseconds: 30});
+
+            expect((await run(check)).message).to.equal('check "checkPayment" timed out after 30ms');
+        });
+
+        it('should throw an error if the timeout is not a positive number', function () {
+            let test = () => sgsd.checks.http({url: 'http://localhost/', timeoutMilliseconds: 0});
+
+            expect(test).to.throw('timeoutMilliseconds option of check "http:localhost/" has to be a positive number');
+        });
+
+    });
+
+    describe(' - dns ', function () {
+
+        it('should pass if the name resolves', async function () {
+            expect(await run(sgsd.checks.dns({hostname: 'localhost'}))).to.equal(undefined);
+        });
+
+        it('should fail if the name does not resolve', async function () {
+            let error = await run(sgsd.checks.dns({hostname: 'unknown.invalid', timeoutMilliseconds: 500}));
+
+            expect(error).to.be.an('error');
+        });
+
+    });
+
+    describe(' - file ', function () {
+        let directory;
+
+        before(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checks-'));
+            fs.writeFileSync(path.join(directory, 'ready'), '');
+        });
+
+        after(function () {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        it('should pass if the file exists', async function () {
+            expect(await run(sgsd.checks.file({path: path.join(directory, 'ready'), type: 'file'}))).to.equal(undefined);
+            expect((await run(sgsd.checks.file({path: path.join(directory, 'missing')}))).code).to.equal('ENOENT');
+        });
+
+        it('should pass if the Unix socket exists', async function () {
+            let socketPath = path.join(directory, 'agent.sock');
+            let server = await listen(net.createServer(), socketPath);
+
+            expect(await run(sgsd.checks.file({path: socketPath, type: 'socket'}))).to.equal(undefined);
+            expect((await run(sgsd.checks.file({path: path.join(directory, 'ready'), type: 'socket'}))).message)
+                .to.equal('"' + path.join(directory, 'ready') + '" is not a socket');
+
+            await close(server);
+        });
+
+        it('should throw an error if the type is unknown', function () {
+            expect(() => sgsd.checks.file({path: '/tmp', type: 'fifo'})).to.throw('type option of file check has to be "file", "directory" or "socket"');
+        });
+
+    });
+
+    describe(' - disk space ', function () {
+
+        // fs.statfs is available since node 18.15
+        let itWithStatfs = typeof fs.statfs === 'function' ? it : it.skip;
+
+        itWithStatfs('should pass if the free disk space is above the threshold', async function () {
+            expect(await run(sgsd.checks.diskSpace({path: os.tmpdir(), minFreeBytes: 1}))).to.equal(undefined);
+        });
+
+        itWithStatfs('should fail if the free disk space is below the threshold', async function () {
+            let error = await run(sgsd.checks.diskSpace({path: os.tmpdir(), minFreeBytes: Number.MAX_SAFE_INTEGER}));
+
+            expect(error.message).to.match(/^free disk space of ".*" is \d+ bytes, below \d+$/);
+        });
+
+        it('should throw an error without threshold', function () {
+            expect(() => sgsd.checks.diskSpace({})).to.throw('diskSpace check needs a minFreeBytes or a minFreeRatio option');
+        });
+
+        it('should throw an error if node has no fs.statfs', function () {
+            let statfs = fs.statfs;
+
+            // like on node < 18.15
+            fs.statfs = undefined;
+
+            try {
+                expect(() => sgsd.checks.diskSpace({minFreeBytes: 1})).to.throw('diskSpace check needs fs.statfs, available since node 18.15');
+            } finally {
+                fs.statfs = statfs;
+            }
+        });
+
+    });
+
+    describe(' - event loop and heap ', function () {
+
+        it('should fail if the event-loop lag is above the threshold', async function () {
+            let monitorEventLoopDelay = perfHooks.monitorEventLoopDelay;
+            let options = [];
+            let check;
+
+            // the histogram is in nanoseconds
+            perfHooks.monitorEventLoopDelay = function (option) {
+                options.push(option);
+
+                return {count: 3, percentile: () => 62.5 * 1e6, reset: () => {}, enable: () => {}, disable: () => {}};
+            };
+
+            try {
+                check = sgsd.checks.eventLoopLag({maxLagMilliseconds: 20, resolutionMilliseconds: 1});
+            } finally {
+                perfHooks.monitorEventLoopDelay = monitorEventLoopDelay;
+            }
+
+            expect(options).to.deep.equal([{resolution: 1}]);
+            expect((await run(check)).message).to.equal('event-loop lag p99 is 62.5ms, above 20ms');
+
+            check.stop();
+        });
+
+        it('should stop the histogram of the event-loop lag check', async function () {
+            let check = sgsd.checks.eventLoopLag({maxLagMilliseconds: 20});
+            let graceful = new sgsd.ServerGracefulShutdown(http.createServer(), {readinessChecks: [check]});
+            let stops = 0;
+            let stop = check.stop;
+
+            check.stop = function () {
+                stops++;
+                stop();
+            };
+
+            await graceful.dispose();
+
+            expect(stops).to.equal(1);
+            expect(await run(check)).to.equal(undefined);
+
+            check.stop();
+        });
+
+        it('should pass if the heap usage is below the threshold', async function () {
+            expect(await run(sgsd.checks.heapUsage({maxHeapRatio: 1}))).to.equal(undefined);
+            expect((await run(sgsd.checks.heapUsage({maxHeapUsedBytes: 1}))).message).to.match(/^heap usage is \d+ bytes, above 1$/);
+        });
+
+    });
+
+    describe(' - readiness ', function () {
+
+        it('should report the check names of the factories', async function () {
+            let server = http.createServer();
+            let graceful = new sgsd.ServerGracefulShutdown(server, {
+                readinessChecks: [sgsd.checks.heapUsage({maxHeapRatio: 1}), sgsd.checks.dns({name: 'resolver', hostname: 'localhost'})],
+            });
+
+            await graceful.checkReadiness();
+
+            expect(graceful.healthReport().checks.map(check => check.name + ':' + check.status))
+                .to.deep.equal(['heapUsage:passed', 'resolver:passed']);
+        });
+
+    });
+});
@@ -36,6 +36,10 @@ describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Gra
         })
     });
 
+    afterEach(function () {
+        return gracefulShutdown.dispose();
+    });
+
     describe(' - shutdown ', function () {
 
         it.skip('should drain connections', function () {
@@ -238,8 +242,10 @@ describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Gra
     describe(' - behaviour ', function () {
 
         it('should throw an error if graceful shutdown was already enabled', function () {
-            sgsd.enable(server, {});
+            let test = sgsd.enable(server, {});
             expect(sgsd.enable.bind(null, server, {})).to.throw('server graceful shutdown already enabled');
+
+            return test.dispose();
         });
 
         it('should execute readiness checks only on startup', function (done) {
@@ -294,6 +300,1952 @@ describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Gra
             })
         });
 
+        it('should execute promise based finalizers on shutdown', function (done) {
+            gracefulShutdown.addFinalizer(function callbackFinalizer(server, callback) {
+                server.fake.calledFinalizers.push('callbackFinalizer');
+                callback();
+            });
+
+            gracefulShutdown.addFinalizer(async function asyncFinalizer(server) {
+                server.fake.calledFinalizers.push('asyncFinalizer');
+            });
+
+            gracefulShutdown.addFinalizer(function promiseFinalizer(server) {
+                return new Promise((resolve) => {
+                    setTimeout(() => {
+                        server.fake.calledFinalizers.push('promiseFinalizer');
+                        resolve();
+                    }, 10);
+                });
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            gracefulShutdown.terminate('SIGTERM', function () {
+                expect(server.fake.calledFinalizers).to.have.members(['callbackFinalizer', 'asyncFinalizer', 'promiseFinalizer']);
+
+                done();
+            });
+        });
+
+        it('should return a Promise from "terminate" if no callback is provided', function () {
+            gracefulShutdown.addFinalizer(async function asyncFinalizer(server) {
+                server.fake.calledFinalizers.push('asyncFinalizer');
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(server.fake.calledFinalizers).to.deep.equal(['asyncFinalizer']);
+            });
+        });
+
+        it('should run callback and promise based readiness checks and return a Promise from "checkReadiness"', function () {
+            let calledChecks = [];
+
+            gracefulShutdown.addReadinessCheck(function callbackCheck(callback) {
+                calledChecks.push('callbackCheck');
+                callback();
+            });
+
+            gracefulShutdown.addReadinessCheck(async function asyncCheck() {
+                calledChecks.push('asyncCheck');
+            });
+
+            return gracefulShutdown.checkReadiness().then(() => {
+                expect(calledChecks).to.have.members(['callbackCheck', 'asyncCheck']);
+            });
+        });
+
+    });
+
+    describe(' - readiness probe ', function () {
+        let healthy;
+        let runs;
+
+        let createGracefulShutdown = function (options) {
+            healthy = true;
+            runs = 0;
+
+            options.readinessChecks = [
+                function checkDB(callback) {
+                    runs++;
+                    setImmediate(() => callback(healthy === true ? undefined : new Error('DB not reachable')));
+                },
+            ];
+
+            return new sgsd.ServerGracefulShutdown(server, options);
+        };
+
+        it('should throw an error if a threshold option is not an integer greater than 0', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {readinessFailureThreshold: 0});
+            };
+
+            expect(test).to.throw('readinessFailureThreshold option has to be an integer greater than 0');
+        });
+
+        it('should re-evaluate the readiness checks after the first success', async function () {
+            let test = createGracefulShutdown({});
+
+            await test.checkReadiness();
+
+            healthy = false;
+
+            let error = await test.checkReadiness().catch(error => error);
+
+            expect(error).to.be.an('error');
+            expect(error.message).to.equal('DB not reachable');
+            expect(runs).to.equal(2);
+        });
+
+        it('should reuse the last result within the readiness cache duration', async function () {
+            let test = createGracefulShutdown({readinessCacheMilliseconds: 1000});
+
+            await test.checkReadiness();
+
+            healthy = false;
+
+            await test.checkReadiness();
+            expect(runs).to.equal(1);
+
+            let error = await test.refreshReadiness().catch(error => error);
+            expect(error.message).to.equal('DB not reachable');
+            expect(runs).to.equal(2);
+        });
+
+        it('should share a running check between concurrent callers', async function () {
+            let test = createGracefulShutdown({});
+
+            await Promise.all([test.checkReadiness(), test.checkReadiness(), test.checkReadiness()]);
+
+            expect(runs).to.equal(1);
+        });
+
+        it('should stay ready until the failure threshold is reached', async function () {
+            let test = createGracefulShutdown({readinessFailureThreshold: 2});
+
+            await test.checkReadiness();
+
+            healthy = false;
+
+            await test.checkReadiness();
+
+            let error = await test.checkReadiness().catch(error => error);
+            expect(error.message).to.equal('DB not reachable');
+        });
+
+        it('should stay not ready until the success threshold is reached', async function () {
+            let test = createGracefulShutdown({readinessSuccessThreshold: 2});
+
+            let error = await test.checkReadiness().catch(error => error);
+            expect(error.message).to.equal('readiness success threshold not reached yet');
+
+            await test.checkReadiness();
+        });
+
+        it('should run the readiness checks on an interval', function (done) {
+            let test = createGracefulShutdown({readinessIntervalMilliseconds: 10});
+
+            test.readinessProbe.start();
+
+            setTimeout(() => {
+                test.readinessProbe.stop();
+
+                expect(runs).to.be.gte(2);
+                expect(test.readinessProbe.ready).to.equal(true);
+
+                done();
+            }, 35);
+        });
+
+    });
+
+    describe(' - health server ', function () {
+        let healthy;
+        let test;
+
+        beforeEach(function (done) {
+            healthy = true;
+
+            test = new sgsd.ServerGracefulShutdown(server, {
+                healthServer: {port: 0, host: '127.0.0.1', livenessPath: '/live'},
+                readinessChecks: [
+                    function checkDB(callback) {
+                        callback(healthy === true ? undefined : new Error('DB not reachable'));
+                    },
+                ],
+            });
+
+            test.healthServer.listen(done);
+        });
+
+        afterEach(function (done) {
+            test.healthServer.close(done);
+        });
+
+        let get = function (path, method) {
+            return new Promise((resolve, reject) => {
+                http.request({host: '127.0.0.1', port: test.healthServer.address().port, path: path, method: method || 'GET'}, (response) => {
+                    let body = '';
+                    response.on('data', chunk => body += chunk);
+                    response.on('end', () => resolve({statusCode: response.statusCode, body: body}));
+                }).on('error', reject).end();
+            });
+        };
+
+        it('should throw an error if the health server port is not a number', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {healthServer: {port: '8080'}});
+            };
+
+            expect(test).to.throw('healthServer option port has to be a number');
+        });
+
+        it('should serve the liveness probe on the configured path', async function () {
+            expect(await get('/live')).to.deep.equal({statusCode: 200, body: 'OK'});
+            expect(await get('/health')).to.deep.equal({statusCode: 404, body: 'NOT-FOUND'});
+        });
+
+        it('should serve the readiness probe', async function () {
+            expect(await get('/health/readiness')).to.deep.equal({statusCode: 200, body: 'READY'});
+
+            healthy = false;
+
+            expect(await get('/health/readiness?verbose')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+        });
+
+        it('should serve the startup probe', async function () {
+            healthy = false;
+
+            expect(await get('/health/startup')).to.deep.equal({statusCode: 503, body: 'NOT-STARTED'});
+
+            healthy = true;
+
+            expect(await get('/health/startup')).to.deep.equal({statusCode: 200, body: 'STARTED'});
+
+            healthy = false;
+
+            expect(await get('/health/startup')).to.deep.equal({statusCode: 200, body: 'STARTED'});
+        });
+
+        it('should throw an error if the readiness report option is unknown', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {readinessReport: 'xml'});
+            };
+
+            expect(test).to.throw('readinessReport option has to be "text" or "json"');
+        });
+
+        it('should report pending readiness checks before their first run', function () {
+            expect(test.healthReport()).to.deep.equal({
+                status: 'NOT-READY',
+                started: true,
+                terminatedBy: null,
+                checks: [
+                    {name: 'checkDB', status: 'pending', error: null, durationMilliseconds: null, lastRunAt: null},
+                ],
+            });
+        });
+
+        it('should serve a JSON readiness report', async function () {
+            test.readinessReport = 'json';
+            healthy = false;
+
+            let response = await get('/health/readiness');
+            let report = JSON.parse(response.body);
+
+            expect(response.statusCode).to.equal(503);
+            expect(report.status).to.equal('NOT-READY');
+            expect(report.terminatedBy).to.equal(null);
+            expect(report.checks.length).to.equal(1);
+            expect(report.checks[0].name).to.equal('checkDB');
+            expect(report.checks[0].status).to.equal('failed');
+            expect(report.checks[0].error).to.equal('DB not reachable');
+            expect(report.checks[0].durationMilliseconds).to.be.a('number');
+            expect(new Date(report.checks[0].lastRunAt).getTime()).to.be.closeTo(Date.now(), 1000);
+
+            healthy = true;
+
+            response = await get('/health/readiness');
+            report = JSON.parse(response.body);
+
+            expect(response.statusCode).to.equal(200);
+            expect(report.status).to.equal('READY');
+            expect(report.checks[0].status).to.equal('passed');
+            expect(report.checks[0].error).to.equal(null);
+        });
+
+        it('should only answer GET and HEAD requests', async function () {
+            expect(await get('/live', 'POST')).to.deep.equal({statusCode: 405, body: 'METHOD-NOT-ALLOWED'});
+            expect(await get('/live', 'HEAD')).to.deep.equal({statusCode: 200, body: ''});
+        });
+
+        it('should serve unbound probe handlers on a plain http server', async function () {
+            const readiness = test.readiness;
+
+            test.healthServer.server.removeAllListeners('request');
+            test.healthServer.server.on('request', (request, response) => readiness(request, response));
+
+            expect(await get('/anything')).to.deep.equal({statusCode: 200, body: 'READY'});
+        });
+
+    });
+
+    describe(' - logger ', function () {
+
+        let createLogger = function () {
+            let logger = {calls: []};
+
+            ['debug', 'info', 'warn', 'error'].forEach(level => {
+                logger[level] = function (fields, message) {
+                    logger.calls.push({level: level, fields: fields, message: message});
+                };
+            });
+
+            return logger;
+        };
+
+        it('should throw an error if the logger misses a level function', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {logger: {info: function () {}}});
+            };
+
+            expect(test).to.throw('logger option has to provide "debug", "info", "warn" and "error" functions');
+        });
+
+        it('should throw an error if the log format is unknown', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {logFormat: 'xml'});
+            };
+
+            expect(test).to.throw('logFormat option has to be one of: text, json');
+        });
+
+        it('should log the shutdown sequence through the provided logger', function () {
+            let logger = createLogger();
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                gracePeriodMilliseconds: 0,
+                logger: logger,
+                finalizers: [
+                    async function flushQueue() {},
+                    async function closeDBPool() {
+                        throw new Error('pool already closed');
+                    },
+                ],
+            });
+
+            test.killer.destroyServer = function (signal, callback) {
+                callback();
+            };
+
+            sgsd.enable(server, test);
+
+            return test.terminate('SIGTERM').then(() => test.dispose()).then(() => {
+                let events = logger.calls.map(call => call.fields.event);
+
+                expect(events).to.include.members(['shutdown', 'gracePeriodStart', 'draining', 'drained', 'finalizerStart', 'finalizerEnd', 'finalizerError']);
+
+                let finalizerEnd = logger.calls.find(call => call.fields.event === 'finalizerEnd');
+                expect(finalizerEnd.level).to.equal('info');
+                expect(finalizerEnd.fields.finalizer).to.equal('flushQueue');
+                expect(finalizerEnd.fields.phase).to.equal(1);
+                expect(finalizerEnd.fields.elapsedMilliseconds).to.be.a('number');
+
+                let finalizerError = logger.calls.find(call => call.fields.event === 'finalizerError');
+                expect(finalizerError.level).to.equal('error');
+                expect(finalizerError.fields.finalizer).to.equal('closeDBPool');
+                expect(finalizerError.message).to.contain('pool already closed');
+            });
+        });
+
+        it('should log readiness check failures at error level', async function () {
+            let logger = createLogger();
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                logger: logger,
+                readinessChecks: [
+                    async function checkDB() {
+                        throw new Error('DB not reachable');
+                    },
+                ],
+            });
+
+            let error = await test.checkReadiness().catch(error => error);
+            let call = logger.calls.find(call => call.fields.event === 'readinessCheckError');
+
+            expect(error.message).to.equal('DB not reachable');
+            expect(call.level).to.equal('error');
+            expect(call.fields.check).to.equal('checkDB');
+        });
+
+        it('should write structured JSON lines in json format', function () {
+            let lines = [];
+            let write = process.stderr.write;
+
+            process.stderr.write = function (line) {
+                lines.push(line);
+                return true;
+            };
+
+            try {
+                let test = new sgsd.ServerGracefulShutdown(server, {logFormat: 'json', logLevel: 'warn'});
+
+                test.log.info({event: 'ignored'}, 'below the log level');
+                test.log.error({event: 'finalizerError', finalizer: 'closeDBPool'}, 'finalizer "%s" failed', 'closeDBPool');
+            } finally {
+                process.stderr.write = write;
+            }
+
+            expect(lines.length).to.equal(1);
+
+            let line = JSON.parse(lines[0]);
+            expect(line.level).to.equal('error');
+            expect(line.pid).to.equal(process.pid);
+            expect(line.event).to.equal('finalizerError');
+            expect(line.finalizer).to.equal('closeDBPool');
+            expect(line.msg).to.equal('finalizer "closeDBPool" failed');
+        });
+
+    });
+
+    describe(' - events ', function () {
+
+        it('should emit the shutdown sequence events with timing data', function () {
+            let events = [];
+
+            serverKiller.gracePeriodMilliseconds = 0;
+
+            ['gracePeriodStart', 'gracePeriodEnd', 'draining', 'drained', 'finalizerStart', 'finalizerEnd', 'finalizerError'].forEach(event => {
+                gracefulShutdown.on(event, data => events.push({event: event, data: data}));
+            });
+
+            gracefulShutdown.addFinalizer(async function flushQueue() {});
+            gracefulShutdown.addFinalizer(async function closeDBPool() {
+                throw new Error('pool already closed');
+            }, {dependsOn: ['flushQueue']});
+
+            sgsd.enable(server, gracefulShutdown);
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(events.map(event => event.event)).to.deep.equal([
+                    'gracePeriodStart',
+                    'gracePeriodEnd',
+                    'draining',
+                    'drained',
+                    'finalizerStart',
+                    'finalizerEnd',
+                    'finalizerStart',
+                    'finalizerError',
+                ]);
+
+                events.forEach(event => expect(event.data.elapsedMilliseconds).to.be.a('number'));
+
+                expect(events[3].data.framework).to.equal('http');
+                expect(events[3].data.durationMilliseconds).to.be.a('number');
+                expect(events[5].data).to.include({finalizer: 'flushQueue', phase: 1});
+                expect(events[5].data.durationMilliseconds).to.be.a('number');
+                expect(events[7].data).to.include({finalizer: 'closeDBPool', phase: 2});
+                expect(events[7].data.error.message).to.equal('pool already closed');
+            });
+        });
+
+        it('should emit readiness transitions', async function () {
+            let healthy = true;
+            let events = [];
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                readinessChecks: [
+                    function checkDB(callback) {
+                        callback(healthy === true ? undefined : new Error('DB not reachable'));
+                    },
+                ],
+            });
+
+            test.on('ready', data => events.push({event: 'ready', data: data}));
+            test.on('notReady', data => events.push({event: 'notReady', data: data}));
+
+            await test.checkReadiness();
+            await test.checkReadiness();
+
+            healthy = false;
+
+            await test.checkReadiness().catch(() => {});
+
+            expect(events.map(event => event.event)).to.deep.equal(['ready', 'notReady']);
+            expect(events[0].data.checks[0]).to.include({name: 'checkDB', status: 'passed'});
+            expect(events[1].data.error.message).to.equal('DB not reachable');
+            expect(events[1].data.checks[0]).to.include({name: 'checkDB', status: 'failed'});
+        });
+
+    });
+
+    describe(' - multiple servers ', function () {
+        let adminServer;
+        let metricsServer;
+
+        beforeEach(function (done) {
+            serverKiller.gracePeriodMilliseconds = 0;
+
+            adminServer = http.createServer();
+            metricsServer = http.createServer();
+
+            adminServer.listen(0, () => metricsServer.listen(0, done));
+        });
+
+        it('should throw an error if a server has no name', function () {
+            expect(gracefulShutdown.addServer.bind(gracefulShutdown, adminServer, {})).to.throw('server name has to be a non empty string');
+        });
+
+        it('should throw an error if a server name is already registered', function () {
+            gracefulShutdown.addServer(adminServer, {name: 'admin'});
+
+            expect(gracefulShutdown.addServer.bind(gracefulShutdown, metricsServer, {name: 'admin'})).to.throw('server "admin" already registered');
+        });
+
+        it('should throw an error if a server is already enabled', function () {
+            gracefulShutdown.addServer(adminServer, {name: 'admin'});
+
+            expect(gracefulShutdown.addServer.bind(gracefulShutdown, adminServer, {name: 'admin2'})).to.throw('server graceful shutdown already enabled');
+        });
+
+        it('should register servers through option', function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {servers: [{name: 'admin', server: adminServer, order: 1}]});
+
+            expect(test.listServers()).to.deep.equal([
+                {name: 'main', server: server, order: 0},
+                {name: 'admin', server: adminServer, order: 1},
+            ]);
+        });
+
+        it('should drain all servers and report per server drain results', async function () {
+            let events = [];
+
+            gracefulShutdown.addServer(adminServer, {name: 'admin', order: 1});
+            gracefulShutdown.addServer(metricsServer, {name: 'metrics'});
+            gracefulShutdown.on('drained', data => events.push(data.server));
+
+            sgsd.enable(server, gracefulShutdown);
+
+            let report = await gracefulShutdown.terminate('SIGTERM');
+
+            expect(events).to.have.members(['main', 'metrics', 'admin']);
+            expect(events[2]).to.equal('admin');
+
+            expect(report.servers.map(result => result.server)).to.deep.equal(events);
+            report.servers.forEach(result => {
+                expect(result.framework).to.equal('http');
+                expect(result.timedOut).to.equal(false);
+                expect(result.error).to.equal(undefined);
+                expect(result.durationMilliseconds).to.be.a('number');
+            });
+
+            expect(server.listening).to.equal(false);
+            expect(adminServer.listening).to.equal(false);
+            expect(metricsServer.listening).to.equal(false);
+        });
+
+    });
+
+    describe(' - isolation ', function () {
+
+        it('should remove the signal listeners on dispose', async function () {
+            let listeners = process.listenerCount('SIGUSR2');
+
+            sgsd.enable(server, {signals: ['SIGUSR2']}, gracefulShutdown);
+            expect(process.listenerCount('SIGUSR2')).to.equal(listeners + 1);
+
+            await gracefulShutdown.dispose();
+            expect(process.listenerCount('SIGUSR2')).to.equal(listeners);
+        });
+
+        it('should keep the termination state per instance', function (done) {
+            let other = new sgsd.ServerGracefulShutdown(http.createServer());
+
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.destroyServer = function (signal, callback) {
+                callback();
+            };
+            gracefulShutdown.delay = 0;
+
+            sgsd.enable(server, {signals: ['SIGUSR2']}, gracefulShutdown);
+
+            gracefulShutdown.on('signal', () => {
+                expect(gracefulShutdown.isTerminated()).to.equal(true);
+                expect(gracefulShutdown.isTerminatedBy()).to.equal('SIGUSR2');
+                expect(other.isTerminated()).to.equal(false);
+
+                // module level state reflects the enabled instances
+                expect(sgsd.isTerminated()).to.equal(true);
+                expect(sgsd.isTerminatedBy()).to.equal('SIGUSR2');
+            });
+
+            gracefulShutdown.on('drained', () => {
+                gracefulShutdown.dispose(() => {
+                    expect(sgsd.isTerminated()).to.equal(false);
+                    expect(sgsd.isTerminatedBy()).to.equal(undefined);
+
+                    done();
+                });
+            });
+
+            process.emit('SIGUSR2');
+        });
+
+        it('should keep the readiness state per instance', async function () {
+            let checks = [];
+            let other = new sgsd.ServerGracefulShutdown(http.createServer());
+
+            gracefulShutdown.addReadinessCheck(async function checkDB() {
+                checks.push('checkDB');
+            });
+
+            await gracefulShutdown.checkReadiness();
+
+            let error = await other.checkReadiness().catch(error => error);
+
+            expect(error).to.equal(undefined);
+            expect(checks).to.deep.equal(['checkDB']);
+            expect(other.readinessProbe.ready).to.equal(true);
+            expect(other.healthReport().checks).to.deep.equal([]);
+        });
+
+        it('should run readiness checks added after the first run', async function () {
+            let checks = [];
+
+            gracefulShutdown.addReadinessCheck(async function checkDB() {
+                checks.push('checkDB');
+            });
+
+            await gracefulShutdown.checkReadiness();
+
+            gracefulShutdown.addReadinessCheck(async function checkCache() {
+                checks.push('checkCache');
+            });
+
+            await gracefulShutdown.checkReadiness();
+
+            expect(checks).to.deep.equal(['checkDB', 'checkDB', 'checkCache']);
+        });
+
+        it('should clear the termination and readiness state on reset', async function () {
+            gracefulShutdown.addReadinessCheck(async function checkDB() {});
+
+            await gracefulShutdown.checkStartup();
+
+            gracefulShutdown.terminatedBy = 'SIGTERM';
+            gracefulShutdown.reset();
+
+            expect(gracefulShutdown.isTerminated()).to.equal(false);
+            expect(gracefulShutdown.started).to.equal(false);
+            expect(gracefulShutdown.readinessProbe.ready).to.equal(false);
+            expect(gracefulShutdown.healthReport().checks[0].status).to.equal('pending');
+        });
+
+    });
+
+    describe(' - finalizer phases ', function () {
+
+        it('should reject a finalizer depending on an unknown finalizer', function () {
+            let test = function () {
+                gracefulShutdown.addFinalizer(function closeDBPool(server, callback) {
+                    callback();
+                }, {dependsOn: ['flushOutbox']});
+            };
+
+            expect(test).to.throw('finalizer "closeDBPool" depends on unknown finalizer "flushOutbox"');
+        });
+
+        it('should reject a finalizer depending on itself', function () {
+            let test = function () {
+                gracefulShutdown.addFinalizer(function closeDBPool(server, callback) {
+                    callback();
+                }, {dependsOn: ['closeDBPool']});
+            };
+
+            expect(test).to.throw('finalizer "closeDBPool" can not depend on itself');
+        });
+
+        it('should reject a phase which is not an integer', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {finalizers: [
+                    {finalizer: function closeDBPool(server, callback) { callback(); }, phase: '1'},
+                ]});
+            };
+
+            expect(test).to.throw('phase of finalizer "closeDBPool" has to be an integer');
+        });
+
+        it('should group finalizers by phase and dependencies', function () {
+            function pushMetrics(server, callback) { callback(); }
+            function stopConsumers(server, callback) { callback(); }
+            function flushOutbox(server, callback) { callback(); }
+            function closeDBPool(server, callback) { callback(); }
+            function closeCache(server, callback) { callback(); }
+
+            let test = new sgsd.ServerGracefulShutdown(server, {finalizers: [
+                {finalizer: pushMetrics, phase: 10},
+                stopConsumers,
+                {finalizer: flushOutbox, dependsOn: ['stopConsumers']},
+                {finalizer: closeDBPool, dependsOn: 'flushOutbox'},
+                {finalizer: closeCache, phase: 1},
+            ]});
+
+            expect(test.listFinalizers()).to.deep.equal([pushMetrics, stopConsumers, flushOutbox, closeDBPool, closeCache]);
+            expect(test.listFinalizerPhases()).to.deep.equal([
+                [stopConsumers],
+                [flushOutbox, closeCache],
+                [closeDBPool],
+                [pushMetrics],
+            ]);
+        });
+
+        it('should execute phases one after another', function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+
+            let calls = [];
+            let finalizer = function (name, delay) {
+                return {[name]: async function () {
+                    calls.push(name + ':start');
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    calls.push(name + ':end');
+                }}[name];
+            };
+
+            gracefulShutdown.addFinalizer(finalizer('stopConsumers', 20));
+            gracefulShutdown.addFinalizer(finalizer('stopScheduler', 10));
+            gracefulShutdown.addFinalizer(finalizer('closeDBPool', 0), {dependsOn: ['stopConsumers', 'stopScheduler']});
+
+            sgsd.enable(server, gracefulShutdown);
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(calls).to.deep.equal([
+                    'stopConsumers:start',
+                    'stopScheduler:start',
+                    'stopScheduler:end',
+                    'stopConsumers:end',
+                    'closeDBPool:start',
+                    'closeDBPool:end',
+                ]);
+            });
+        });
+
+    });
+
+    describe(' - timeouts ', function () {
+
+        it('should throw an error if a timeout option is not a positive number', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {finalizerTimeoutMilliseconds: '100'});
+            };
+
+            expect(test).to.throw('finalizerTimeoutMilliseconds option has to be a positive number');
+        });
+
+        it('should pass timeout options to the default killer', function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                finalizerTimeoutMilliseconds: 100,
+                drainTimeoutMilliseconds: 200,
+                shutdownTimeoutMilliseconds: 300,
+            });
+
+            expect(test.killer.finalizerTimeoutMilliseconds).to.equal(100);
+            expect(test.killer.drainTimeoutMilliseconds).to.equal(200);
+            expect(test.killer.shutdownTimeoutMilliseconds).to.equal(300);
+        });
+
+        it('should continue the shutdown sequence when a finalizer times out', function (done) {
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.finalizerTimeoutMilliseconds = 50;
+
+            gracefulShutdown.addFinalizer(function hangingFinalizer() {
+                // never calls back
+            });
+
+            gracefulShutdown.addFinalizer(function finalizer1(server, callback) {
+                server.fake.calledFinalizers.push('finalizer1');
+                callback();
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            gracefulShutdown.terminate('SIGTERM', function () {
+                expect(server.fake.calledFinalizers).to.deep.equal(['finalizer1']);
+
+                done();
+            });
+        });
+
+        it('should continue the shutdown sequence when a finalizer fails', function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+
+            gracefulShutdown.addFinalizer(async function failingFinalizer() {
+                throw new Error('flush failed');
+            });
+
+            gracefulShutdown.addFinalizer(async function finalizer1(server) {
+                server.fake.calledFinalizers.push('finalizer1');
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(server.fake.calledFinalizers).to.deep.equal(['finalizer1']);
+            });
+        });
+
+        it('should force exit naming the unfinished steps when the shutdown deadline is exceeded', function (done) {
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.shutdownTimeoutMilliseconds = 50;
+
+            serverKiller.forceExit = function (signal, unfinishedSteps) {
+                expect(signal).to.equal('SIGTERM');
+                expect(unfinishedSteps).to.deep.equal(['finalizer "hangingFinalizer"']);
+
+                done();
+            };
+
+            gracefulShutdown.addFinalizer(function hangingFinalizer() {
+                // never calls back
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            gracefulShutdown.terminate('SIGTERM', function () {
+                done(new Error('shutdown sequence should not finish'));
+            });
+        });
+
+    });
+
+    describe(' - programmatic shutdown ', function () {
+
+        beforeEach(function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.destroyServer = function (signal, callback) {
+                expect(signal).to.equal('leader-lock-lost');
+                callback();
+            };
+        });
+
+        it('should run the shutdown sequence and report the reason', function () {
+            let events = [];
+
+            gracefulShutdown.delay = 10;
+            gracefulShutdown.addFinalizer(function finalizer1(server, callback) {
+                server.fake.calledFinalizers.push('finalizer1');
+                callback();
+            });
+
+            ['shutdown', 'delayElapsed', 'drained'].forEach(event => {
+                gracefulShutdown.on(event, () => events.push(event));
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            let shutdown = gracefulShutdown.shutdown('leader-lock-lost');
+
+            expect(gracefulShutdown.isTerminated()).to.equal(true);
+            expect(gracefulShutdown.isTerminatedBy()).to.equal('leader-lock-lost');
+            expect(sgsd.isTerminatedBy()).to.equal('leader-lock-lost');
+
+            return shutdown.then((report) => {
+                expect(events).to.deep.equal(['shutdown', 'delayElapsed', 'drained']);
+                expect(server.fake.calledFinalizers).to.deep.equal(['finalizer1']);
+                expect(report.servers[0].server).to.equal('main');
+            });
+        });
+
+        it('should report NOT-READY once the shutdown is requested', function (done) {
+            sgsd.enable(server, gracefulShutdown);
+
+            gracefulShutdown.shutdown('leader-lock-lost', () => {});
+
+            gracefulShutdown.readiness({}, {
+                send: function (code, body) {
+                    expect(code).to.equal(503);
+                    expect(body).to.equal('NOT-READY');
+                    done();
+                }
+            });
+        });
+
+        it('should ignore a second shutdown', async function () {
+            let warnings = [];
+
+            serverKiller.gracePeriodMilliseconds = 0;
+            gracefulShutdown.log.warn = function (fields) {
+                warnings.push(fields);
+            };
+
+            sgsd.enable(server, gracefulShutdown);
+
+            let first = gracefulShutdown.shutdown('leader-lock-lost');
+
+            expect(await gracefulShutdown.shutdown('admin-endpoint')).to.equal(undefined);
+            expect(warnings).to.deep.equal([{event: 'shutdown', reason: 'admin-endpoint'}]);
+            expect(gracefulShutdown.isTerminatedBy()).to.equal('leader-lock-lost');
+
+            await first;
+        });
+
+        it('should reject a shutdown of an instance which is not enabled', async function () {
+            let error = await gracefulShutdown.shutdown('leader-lock-lost').catch(error => error);
+
+            expect(error.message).to.equal('server graceful shutdown not enabled');
+            expect(gracefulShutdown.isTerminated()).to.equal(false);
+        });
+
+        it('should reject an empty reason', async function () {
+            sgsd.enable(server, gracefulShutdown);
+
+            let error = await gracefulShutdown.shutdown('').catch(error => error);
+
+            expect(error.message).to.equal('shutdown reason has to be a non empty string');
+        });
+
+        it('should exit with 0 after a shutdown not caused by a signal', function () {
+            let killer = new sgsd.ServerKiller({});
+
+            expect(killer.resolveExitCode('leader-lock-lost')).to.equal(0);
+        });
+
+    });
+
+    describe(' - preStop hook ', function () {
+        let test;
+
+        beforeEach(function (done) {
+            serverKiller.gracePeriodMilliseconds = 100;
+            serverKiller.destroyServer = function (signal, callback) {
+                expect(signal).to.equal('preStop');
+                callback();
+            };
+
+            test = new sgsd.ServerGracefulShutdown(server, {
+                killer: serverKiller,
+                healthServer: {port: 0, host: '127.0.0.1', preStopPath: '/pre-stop'},
+            });
+
+            sgsd.enable(server, {signals: ['SIGUSR2']}, test);
+
+            test.healthServer.server.once('listening', () => done());
+        });
+
+        afterEach(function () {
+            return test.dispose();
+        });
+
+        let get = function (path) {
+            return new Promise((resolve, reject) => {
+                http.get({host: '127.0.0.1', port: test.healthServer.address().port, path: path}, (response) => {
+                    let body = '';
+                    response.on('data', chunk => body += chunk);
+                    response.on('end', () => resolve({statusCode: response.statusCode, body: body}));
+                }).on('error', reject);
+            });
+        };
+
+        it('should report NOT-READY at once and answer once the grace period is over', async function () {
+            let startedAt = Date.now();
+            let preStop = get('/pre-stop');
+
+            await new Promise(resolve => test.once('shutdown', resolve));
+
+            expect(await get('/health/readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            expect(test.isTerminatedBy()).to.equal('preStop');
+
+            expect(await preStop).to.deep.equal({statusCode: 200, body: 'STOPPING'});
+            expect(Date.now() - startedAt).to.be.at.least(90);
+        });
+
+        it('should ignore the signal sent after the preStop hook', async function () {
+            let exit = process.exit;
+            let signals = [];
+
+            test.on('signal', () => signals.push('signal'));
+
+            await test.preStopHook();
+
+            process.exit = function () {
+                throw new Error('process should not exit');
+            };
+
+            try {
+                process.emit('SIGUSR2');
+            } finally {
+                process.exit = exit;
+            }
+
+            expect(signals).to.deep.equal([]);
+            expect(test.isTerminatedBy()).to.equal('preStop');
+        });
+
+        it('should answer at once if the grace period is already over', async function () {
+            await test.preStopHook();
+
+            let startedAt = Date.now();
+
+            expect(await get('/pre-stop')).to.deep.equal({statusCode: 200, body: 'STOPPING'});
+            expect(Date.now() - startedAt).to.be.below(90);
+        });
+
+        it('should not serve the preStop route unless configured', async function () {
+            let error = await gracefulShutdown.preStopHook().catch(error => error);
+
+            expect(error.message).to.equal('server graceful shutdown not enabled');
+            expect(new sgsd.HealthServer(gracefulShutdown, {port: 0}).routes).to.not.have.property('/pre-stop');
+        });
+
+    });
+
+    describe(' - uncaught errors ', function () {
+
+        beforeEach(function () {
+            serverKiller.destroyServer = function (signal, callback) {
+                expect(signal).to.be.oneOf(['uncaughtException', 'unhandledRejection']);
+                callback();
+            };
+        });
+
+        function listenerOf(origin) {
+            return gracefulShutdown.signalListeners.find(entry => entry.signal === origin).listener;
+        }
+
+        it('should only listen for uncaught errors if enabled', async function () {
+            let exceptionListeners = process.listenerCount('uncaughtException');
+            let rejectionListeners = process.listenerCount('unhandledRejection');
+
+            sgsd.enable(server, {handleUncaughtErrors: true}, gracefulShutdown);
+
+            expect(process.listenerCount('uncaughtException')).to.equal(exceptionListeners + 1);
+            expect(process.listenerCount('unhandledRejection')).to.equal(rejectionListeners + 1);
+
+            await gracefulShutdown.dispose();
+
+            expect(process.listenerCount('uncaughtException')).to.equal(exceptionListeners);
+            expect(process.listenerCount('unhandledRejection')).to.equal(rejectionListeners);
+        });
+
+        it('should run the critical finalizers without grace period', function (done) {
+            let events = [];
+
+            serverKiller.crashExitCode = 70;
+
+            gracefulShutdown.addFinalizer(function flushMetrics(server, callback) {
+                server.fake.calledFinalizers.push('flushMetrics');
+                callback();
+            });
+
+            gracefulShutdown.addFinalizer(function deregisterService(server, callback) {
+                server.fake.calledFinalizers.push('deregisterService');
+                callback();
+            }, {skipOnCrash: true});
+
+            ['crash', 'gracePeriodStart', 'drained'].forEach(event => {
+                gracefulShutdown.on(event, () => events.push(event));
+            });
+
+            gracefulShutdown.on('finalizerEnd', () => {
+                expect(events).to.deep.equal(['crash', 'drained']);
+                expect(server.fake.calledFinalizers).to.deep.equal(['flushMetrics']);
+                expect(gracefulShutdown.isTerminatedBy()).to.equal('uncaughtException');
+                expect(serverKiller.resolveExitCode('uncaughtException')).to.equal(70);
+
+                done();
+            });
+
+            sgsd.enable(server, {handleUncaughtErrors: true}, gracefulShutdown);
+
+            listenerOf('uncaughtException')(new Error('boom'));
+        });
+
+        it('should report NOT-READY after an uncaught error', function (done) {
+            sgsd.enable(server, {handleUncaughtErrors: true}, gracefulShutdown);
+
+            listenerOf('unhandledRejection')(new Error('boom'));
+
+            gracefulShutdown.readiness({}, {
+                send: function (code, body) {
+                    expect(code).to.equal(503);
+                    expect(body).to.equal('NOT-READY');
+                    expect(gracefulShutdown.isTerminatedBy()).to.equal('unhandledRejection');
+                    done();
+                }
+            });
+        });
+
+        it('should end a running shutdown with the crash exit code', async function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+
+            sgsd.enable(server, gracefulShutdown);
+
+            gracefulShutdown.terminatedBy = 'SIGTERM';
+
+            await gracefulShutdown.crash(new Error('boom'), 'uncaughtException');
+
+            expect(gracefulShutdown.isTerminatedBy()).to.equal('SIGTERM');
+            expect(serverKiller.resolveExitCode('SIGTERM')).to.equal(1);
+
+            // disarms the crash deadline
+            gracefulShutdown.reset();
+
+            expect(serverKiller.crashed).to.equal(false);
+            expect(serverKiller.resolveExitCode('SIGTERM')).to.equal(128 + 15);
+        });
+
+        it('should exit with the crash exit code once the crash deadline is exceeded', async function () {
+            let exit = process.exit;
+            let exits = [];
+            let statuses = [];
+
+            serverKiller.crashTimeoutMilliseconds = 50;
+            serverKiller.crashExitCode = 70;
+
+            gracefulShutdown.addFinalizer(function neverSettles() {
+                return new Promise(() => {});
+            });
+            gracefulShutdown.on('exit', data => exits.push(data));
+
+            sgsd.enable(server, {handleUncaughtErrors: true}, gracefulShutdown);
+
+            let exited = new Promise(resolve => process.exit = resolve);
+
+            try {
+                listenerOf('uncaughtException')(new Error('boom'));
+
+                expect(await exited).to.equal(70);
+            } finally {
+                process.exit = exit;
+            }
+
+            gracefulShutdown.probeStatus('liveness', (statusCode, body) => statuses.push([statusCode, body]));
+
+            expect(exits[0]).to.include({signal: 'uncaughtException', exitCode: 70, forced: true});
+            expect(statuses).to.deep.equal([[503, 'NOT-OK: crashed']]);
+        });
+
+        it('should log the reason of the shutdown and the skipped grace period', async function () {
+            let messages = [];
+            let info = serverKiller.log.info;
+
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.destroyServer = (signal, callback) => callback();
+            serverKiller.log.info = function (fields, message, ...args) {
+                if (fields.event === 'shutdown') {
+                    messages.push([message].concat(args));
+                }
+
+                return info.apply(this, arguments);
+            };
+
+            sgsd.enable(server, gracefulShutdown);
+
+            await gracefulShutdown.terminate('leader-lock-lost');
+            await new Promise(resolve => serverKiller.crashShutdown(server, 'uncaughtException', [], resolve));
+
+            expect(messages).to.deep.equal([
+                ['invoke graceful shutdown after %dms caused by %s.', 0, 'leader-lock-lost'],
+                ['invoke crash shutdown caused by %s without grace period.', 'uncaughtException'],
+            ]);
+        });
+
+        it('should run the critical finalizers although a tracked task never ends', function (done) {
+            serverKiller.crashWorkTimeoutMilliseconds = 30;
+
+            gracefulShutdown.begin('consumeOrders');
+            gracefulShutdown.addFinalizer(function flushMetrics(server, callback) {
+                expect(serverKiller.workTracker.pending()).to.deep.equal(['consumeOrders']);
+                callback();
+                done();
+            });
+
+            sgsd.enable(server, {handleUncaughtErrors: true}, gracefulShutdown);
+
+            listenerOf('uncaughtException')(new Error('boom'));
+        });
+
+        it('should pass the crash deadline to the default killer', function () {
+            expect(new sgsd.ServerGracefulShutdown(server, {crashTimeoutMilliseconds: 2000}).killer.crashTimeoutMilliseconds).to.equal(2000);
+            expect(new sgsd.ServerKiller({}).crashTimeoutMilliseconds).to.equal(10000);
+            expect(new sgsd.ServerGracefulShutdown(server, {crashWorkTimeoutMilliseconds: 500}).killer.crashWorkTimeoutMilliseconds).to.equal(500);
+            expect(new sgsd.ServerKiller({}).crashWorkTimeoutMilliseconds).to.equal(2000);
+            expect(() => new sgsd.ServerGracefulShutdown(server, {crashTimeoutMilliseconds: -1}))
+                .to.throw('crashTimeoutMilliseconds option has to be a positive number');
+        });
+
+        it('should throw an error if skipOnCrash is not a boolean', function () {
+            let test = function () {
+                gracefulShutdown.addFinalizer(function deregisterService() {}, {skipOnCrash: 'yes'});
+            };
+
+            expect(test).to.throw('skipOnCrash of finalizer "deregisterService" has to be a boolean');
+        });
+
+        it('should keep the phases of finalizers depending on a skipped finalizer', function () {
+            function stopConsumers() {}
+            function deregisterService() {}
+            function flushMetrics() {}
+
+            gracefulShutdown.addFinalizer(stopConsumers);
+            gracefulShutdown.addFinalizer(deregisterService, {dependsOn: ['stopConsumers'], skipOnCrash: true});
+            gracefulShutdown.addFinalizer(flushMetrics, {dependsOn: ['deregisterService']});
+
+            expect(gracefulShutdown.listFinalizerPhases()).to.deep.equal([[stopConsumers], [deregisterService], [flushMetrics]]);
+            expect(gracefulShutdown.listFinalizerPhases(true)).to.deep.equal([[stopConsumers], [flushMetrics]]);
+        });
+
+    });
+
+    describe(' - connection tracking ', function () {
+        let api;
+        let agent;
+        let release;
+
+        beforeEach(function (done) {
+            agent = new http.Agent({keepAlive: true});
+            release = undefined;
+
+            api = http.createServer((request, response) => {
+                release = () => response.end('done');
+            });
+
+            gracefulShutdown.addServer(api, {name: 'api'});
+
+            api.listen(0, done);
+        });
+
+        afterEach(function () {
+            agent.destroy();
+            api.close();
+        });
+
+        function request(callback) {
+            let req = http.get({port: api.address().port, agent: agent}, (response) => {
+                let body = '';
+
+                response.on('data', chunk => body += chunk);
+                response.on('end', () => callback(undefined, response, body));
+            });
+
+            req.on('error', callback);
+        }
+
+        function whenInFlight(callback) {
+            const wait = () => release === undefined ? setImmediate(wait) : callback();
+
+            wait();
+        }
+
+        it('should close keep-alive connections of in-flight requests while draining', function (done) {
+            serverKiller.drainProgressIntervalMilliseconds = 10;
+
+            let progress = [];
+
+            serverKiller.on('drainProgress', report => progress.push(report.inFlight));
+
+            request((error, response, body) => {
+                expect(error).to.equal(undefined);
+                expect(body).to.equal('done');
+                expect(response.headers.connection).to.equal('close');
+            });
+
+            whenInFlight(() => {
+                serverKiller.drainServer({name: 'api', server: api}, (result) => {
+                    expect(result.inFlight).to.equal(1);
+                    expect(result.timedOut).to.equal(false);
+                    expect(progress[0]).to.equal(1);
+                    expect(api.connectionTracker.inFlight()).to.equal(0);
+
+                    done();
+                });
+
+                setTimeout(release, 50);
+            });
+        });
+
+        it('should destroy the remaining connections when the drain timeout is exceeded', function (done) {
+            serverKiller.drainTimeoutMilliseconds = 20;
+
+            let aborted = false;
+
+            request((error) => {
+                aborted = error !== undefined;
+            });
+
+            whenInFlight(() => {
+                serverKiller.drainServer({name: 'api', server: api}, (result) => {
+                    expect(result.timedOut).to.equal(true);
+
+                    setImmediate(() => {
+                        expect(aborted).to.equal(true);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should leave the remaining connections open if configured', function (done) {
+            serverKiller.drainTimeoutMilliseconds = 20;
+            serverKiller.destroySocketsOnDrainTimeout = false;
+
+            request((error, response, body) => {
+                expect(error).to.equal(undefined);
+                expect(body).to.equal('done');
+
+                done();
+            });
+
+            whenInFlight(() => {
+                serverKiller.drainServer({name: 'api', server: api}, (result) => {
+                    expect(result.timedOut).to.equal(true);
+                    expect(api.connectionTracker.inFlight()).to.equal(1);
+
+                    release();
+                });
+            });
+        });
+
+        it('should throw an error if destroySocketsOnDrainTimeout is not a boolean', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {destroySocketsOnDrainTimeout: 'yes'});
+            };
+
+            expect(test).to.throw('destroySocketsOnDrainTimeout option has to be a boolean');
+        });
+
+    });
+
+    describe(' - long-lived connections ', function () {
+        const goingAway = Buffer.from([0x88, 0x02, 0x03, 0xe9]);
+        let api;
+        let sockets;
+
+        beforeEach(function (done) {
+            sockets = [];
+
+            api = http.createServer((request, response) => {
+                response.writeHead(200, {'Content-Type': 'text/event-stream'});
+                response.write('data: hello\n\n');
+            });
+
+            gracefulShutdown.addServer(api, {name: 'api'});
+
+            // registered after enabling the tracking, like a WebSocket server created later on
+            api.on('upgrade', (request, socket) => {
+                sockets.push(socket);
+                socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+            });
+
+            api.listen(0, done);
+        });
+
+        afterEach(function () {
+            api.close();
+        });
+
+        function upgrade(callback) {
+            http.request({port: api.address().port, headers: {Connection: 'Upgrade', Upgrade: 'websocket'}})
+                .on('upgrade', (response, socket) => callback(socket))
+                .end();
+        }
+
+        function drain(drainHandlers, callback) {
+            serverKiller.drainConnections([{name: 'api', server: api, order: 0}], drainHandlers, callback);
+        }
+
+        it('should notify the drain handlers to close WebSocket connections', function (done) {
+            serverKiller.longLivedTimeoutMilliseconds = 5000;
+
+            let received;
+
+            upgrade((socket) => {
+                socket.on('data', data => {
+                    received = data;
+                    socket.end();
+                });
+
+                drain([function closeWebSockets(server, callback) {
+                    expect(server).to.equal(api);
+                    sockets.forEach(socket => socket.end(goingAway));
+                    callback();
+                }], () => {
+                    expect(received).to.deep.equal(goingAway);
+                    expect(serverKiller.drainResults[0].durationMilliseconds).to.be.below(1000);
+
+                    done();
+                });
+            });
+        });
+
+        it('should destroy WebSocket connections still open after the window', function (done) {
+            serverKiller.longLivedTimeoutMilliseconds = 30;
+
+            upgrade((socket) => {
+                let startedAt = Date.now();
+                let drained = false;
+
+                socket.on('close', () => {
+                    expect(Date.now() - startedAt).to.be.at.least(25);
+                    expect(drained).to.equal(true);
+
+                    done();
+                });
+
+                expect(api.connectionTracker.longLived()).to.have.lengthOf(1);
+
+                drain([], () => drained = true);
+            });
+        });
+
+        it('should destroy SSE streams still open after the window', function (done) {
+            serverKiller.longLivedTimeoutMilliseconds = 30;
+
+            http.get({port: api.address().port}, (response) => {
+                let drained = false;
+
+                response.on('close', () => {
+                    expect(drained).to.equal(true);
+
+                    done();
+                });
+
+                response.once('data', () => {
+                    expect(api.connectionTracker.longLived()).to.have.lengthOf(1);
+
+                    drain([], () => drained = true);
+                });
+            }).on('error', () => {});
+        });
+
+        it('should log a failing drain handler', function (done) {
+            let messages = [];
+
+            serverKiller.longLivedTimeoutMilliseconds = 0;
+            serverKiller.log.error = function (fields, message) {
+                messages.push(message);
+            };
+
+            drain([async function closeWebSockets() {
+                throw new Error('boom');
+            }], () => {
+                setImmediate(() => {
+                    expect(messages).to.deep.equal(['drain connections: drain handler "%s" failed with error: %s']);
+
+                    done();
+                });
+            });
+        });
+
+    });
+
+    describe(' - exit codes ', function () {
+        const signals = require('../lib/signals');
+        let exit;
+
+        beforeEach(function () {
+            exit = process.exit;
+        });
+
+        afterEach(function () {
+            process.exit = exit;
+        });
+
+        it('should use the signal numbers of the platform', function () {
+            expect(signals.codeNumber('SIGHUP')).to.equal(1);
+            expect(signals.codeNumber('SIGINT')).to.equal(2);
+            expect(signals.codeNumber('SIGQUIT')).to.equal(3);
+            expect(signals.codeNumber('SIGTERM')).to.equal(15);
+            expect(signals.codeNumber('SIGUNKNOWN')).to.equal(1);
+        });
+
+        it('should exit with 128 + signal number after a clean shutdown', function () {
+            let killer = new sgsd.ServerKiller({});
+
+            expect(killer.resolveExitCode('SIGINT')).to.equal(130);
+            expect(killer.resolveExitCode('SIGTERM')).to.equal(143);
+        });
+
+        it('should throw an error if an exit code option is not an integer between 0 and 255', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {exitCode: 256});
+            };
+
+            expect(test).to.throw('exitCode option has to be an integer between 0 and 255');
+        });
+
+        it('should pass exit options to the default killer', function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                exitCode: 0,
+                finalizerFailureExitCode: 2,
+                forcedExitCode: 3,
+                exitDelayMilliseconds: 10,
+            });
+
+            expect(test.killer.resolveExitCode('SIGTERM')).to.equal(0);
+            expect(test.killer.finalizerFailureExitCode).to.equal(2);
+            expect(test.killer.forcedExitCode).to.equal(3);
+            expect(test.killer.exitDelayMilliseconds).to.equal(10);
+        });
+
+        it('should exit with the configured exit code after the exit delay', function (done) {
+            let killer = new sgsd.ServerKiller({exitCode: 0, exitDelayMilliseconds: 10});
+            let startedAt = Date.now();
+
+            process.exit = function (code) {
+                process.exit = exit;
+
+                expect(code).to.equal(0);
+                expect(Date.now() - startedAt).to.be.at.least(9);
+                done();
+            };
+
+            killer.destroyServer('SIGTERM', function () {});
+        });
+
+        it('should exit with the finalizer failure exit code when a finalizer failed', function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+            serverKiller.finalizerFailureExitCode = 70;
+
+            gracefulShutdown.addFinalizer(async function failingFinalizer() {
+                throw new Error('flush failed');
+            });
+
+            sgsd.enable(server, gracefulShutdown);
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(serverKiller.failedFinalizers).to.deep.equal(['failingFinalizer']);
+                expect(serverKiller.resolveExitCode('SIGTERM')).to.equal(70);
+            });
+        });
+
+        it('should exit with the forced exit code when the shutdown deadline is exceeded', function () {
+            let killer = new sgsd.ServerKiller({forcedExitCode: 99});
+            let exitCode;
+
+            process.exit = function (code) {
+                exitCode = code;
+            };
+
+            killer.forceExit('SIGTERM', []);
+
+            expect(exitCode).to.equal(99);
+        });
+
+    });
+
+    describe(' - startup checks ', function () {
+        let exit;
+
+        let probe = function (name) {
+            return new Promise(resolve => gracefulShutdown.probeStatus(name, (statusCode, body) => resolve({statusCode, body})));
+        };
+
+        beforeEach(function () {
+            exit = process.exit;
+        });
+
+        afterEach(function () {
+            process.exit = exit;
+        });
+
+        it('should throw an error if the startup checks option is not an array', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {startupChecks: function () {}});
+            };
+
+            expect(test).to.throw('startupChecks options has to be an array of Functions');
+        });
+
+        it('should report startup and readiness only once all startup checks passed once', async function () {
+            let migrated = false;
+            let runs = 0;
+
+            gracefulShutdown.addStartupCheck(async function migrationsDone() {
+                runs++;
+
+                if (migrated === false) {
+                    throw new Error('migrations pending');
+                }
+            });
+            gracefulShutdown.addStartupCheck(async function cacheWarmed() {});
+
+            expect(gracefulShutdown.listStartupChecks().map(check => check.name)).to.deep.equal(['migrationsDone', 'cacheWarmed']);
+
+            expect(await probe('startup')).to.deep.equal({statusCode: 503, body: 'NOT-STARTED'});
+            expect(await probe('readiness')).to.deep.equal({statusCode: 503, body: 'NOT-READY'});
+            expect(gracefulShutdown.startupProbe.pending()).to.deep.equal(['migrationsDone']);
+
+            migrated = true;
+
+            expect(await probe('startup')).to.deep.equal({statusCode: 200, body: 'STARTED'});
+            expect(await probe('readiness')).to.deep.equal({statusCode: 200, body: 'READY'});
+
+            migrated = false;
+
+            expect(await probe('startup')).to.deep.equal({statusCode: 200, body: 'STARTED'});
+            expect(runs).to.equal(3);
+        });
+
+        it('should report NOT-READY in the JSON report until the startup completed', async function () {
+            gracefulShutdown.readinessReport = 'json';
+            gracefulShutdown.addReadinessCheck(async function checkDB() {});
+            gracefulShutdown.addStartupCheck(function migrationsDone(callback) {
+                callback(new Error('migrations pending'));
+            });
+
+            await gracefulShutdown.checkReadiness();
+
+            let response = await probe('readiness');
+
+            expect(response.statusCode).to.equal(503);
+            expect(response.body).to.include({status: 'NOT-READY', started: false});
+        });
+
+        it('should not complete the startup with the readiness checks if there are startup checks', async function () {
+            gracefulShutdown.addStartupCheck(function migrationsDone(callback) {
+                callback(new Error('migrations pending'));
+            });
+
+            await gracefulShutdown.checkReadiness();
+
+            expect(gracefulShutdown.started).to.equal(false);
+            expect(await probe('startup')).to.deep.equal({statusCode: 503, body: 'NOT-STARTED'});
+        });
+
+        it('should emit startup events', function (done) {
+            let events = [];
+
+            gracefulShutdown.addStartupCheck(async function cacheWarmed() {});
+
+            gracefulShutdown.on('startupCheckEnd', data => events.push(data.check + ':' + data.status));
+            gracefulShutdown.on('started', () => {
+                expect(events).to.deep.equal(['cacheWarmed:passed']);
+                expect(gracefulShutdown.started).to.equal(true);
+                done();
+            });
+
+            gracefulShutdown.checkStartup();
+        });
+
+        it('should exit with the startup timeout exit code if the startup did not complete in time', function (done) {
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                killer: serverKiller,
+                startupChecks: [
+                    async function migrationsDone() {
+                        throw new Error('migrations pending');
+                    },
+                ],
+                startupTimeoutMilliseconds: 30,
+                startupIntervalMilliseconds: 10,
+                startupTimeoutExitCode: 3,
+            });
+
+            test.on('startupTimeout', (data) => {
+                expect(data).to.deep.equal({timeoutMilliseconds: 30, pendingChecks: ['migrationsDone']});
+            });
+
+            process.exit = function (code) {
+                process.exit = exit;
+
+                expect(code).to.equal(3);
+                test.startupProbe.stop();
+                done();
+            };
+
+            test.startupProbe.start();
+        });
+
+        it('should default the startup timeout exit code to 124', function () {
+            expect(gracefulShutdown.startupTimeoutExitCode).to.equal(124);
+        });
+
+    });
+
+    describe(' - liveness thresholds ', function () {
+
+        let probe = function (graceful) {
+            return new Promise(resolve => graceful.probeStatus('liveness', (statusCode, body) => resolve({statusCode, body})));
+        };
+
+        it('should throw an error if the liveness option is not an object', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {liveness: true});
+            };
+
+            expect(test).to.throw('liveness option has to be an object');
+        });
+
+        it('should throw an error if a liveness threshold is not a positive number', function () {
+            let test = function () {
+                return new sgsd.ServerGracefulShutdown(server, {liveness: {maxHeapRatio: -1}});
+            };
+
+            expect(test).to.throw('liveness option maxHeapRatio has to be a positive number');
+        });
+
+        it('should not sample without thresholds', async function () {
+            gracefulShutdown.livenessMonitor.start();
+
+            expect(gracefulShutdown.livenessMonitor.timer).to.equal(undefined);
+            expect(await probe(gracefulShutdown)).to.deep.equal({statusCode: 200, body: 'OK'});
+        });
+
+        it('should fail only once a threshold is exceeded for the sustained window', async function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {liveness: {maxHeapUsedBytes: 100, sustainedMilliseconds: 30}});
+            let heapUsedBytes = 200;
+            let events = [];
+            let now = Date.now;
+            let time = 1000;
+
+            test.livenessMonitor.measure = () => ({eventLoopDelayMilliseconds: 0, heapUsedBytes: heapUsedBytes, heapRatio: 0, rssBytes: 0});
+            test.on('livenessFailed', data => events.push(data.reason));
+            test.on('livenessRecovered', () => events.push('recovered'));
+
+            Date.now = () => time;
+
+            try {
+                test.livenessMonitor.sample();
+                expect(await probe(test)).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                time += 20;
+                test.livenessMonitor.sample();
+                expect(await probe(test)).to.deep.equal({statusCode: 200, body: 'OK'});
+
+                time += 20;
+                test.livenessMonitor.sample();
+                expect(await probe(test)).to.deep.equal({statusCode: 503, body: 'NOT-OK: heap used bytes 200 above 100 for 40ms'});
+
+                heapUsedBytes = 50;
+                test.livenessMonitor.sample();
+            } finally {
+                Date.now = now;
+            }
+
+            expect(await probe(test)).to.deep.equal({statusCode: 200, body: 'OK'});
+            expect(events).to.deep.equal(['heap used bytes 200 above 100 for 40ms', 'recovered']);
+        });
+
+        it('should fail while the event loop is blocked', async function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {
+                liveness: {maxEventLoopDelayMilliseconds: 20, sustainedMilliseconds: 0, percentile: 90},
+            });
+            let percentiles = [];
+
+            // the histogram is in nanoseconds
+            test.livenessMonitor.eventLoopDelay.histogram = {
+                count: 3,
+                percentile: (percentile) => {
+                    percentiles.push(percentile);
+                    return 62.5 * 1e6;
+                },
+                reset: () => {},
+                disable: () => {},
+            };
+
+            test.livenessMonitor.sample();
+
+            expect(await probe(test)).to.deep.equal({statusCode: 503, body: 'NOT-OK: event-loop delay 62.500 above 20 for 0ms'});
+            expect(percentiles).to.deep.equal([90]);
+
+            test.livenessMonitor.stop();
+
+            expect(test.livenessMonitor.eventLoopDelay.histogram).to.equal(undefined);
+        });
+
+    });
+
+    describe(' - load shedding ', function () {
+        let api;
+        let test;
+
+        let get = function (path) {
+            return new Promise((resolve, reject) => {
+                http.get({host: '127.0.0.1', port: api.address().port, path: path, agent: false}, (response) => {
+                    let body = '';
+                    response.on('data', chunk => body += chunk);
+                    response.on('end', () => resolve({statusCode: response.statusCode, headers: response.headers, body: body}));
+                }).on('error', reject);
+            });
+        };
+
+        let start = function (loadShedding) {
+            api = http.createServer((request, response) => response.end('OK'));
+            test = new sgsd.ServerGracefulShutdown(api, {loadShedding: loadShedding});
+            test.shedLoad(api);
+
+            return new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+        };
+
+        afterEach(function (done) {
+            if (api === undefined) {
+                done();
+                return;
+            }
+
+            api.close(() => done());
+            api = undefined;
+        });
+
+        it('should throw an error if the load shedding option is invalid', function () {
+            expect(() => new sgsd.ServerGracefulShutdown(server, {loadShedding: 'all'})).to.throw('loadShedding option has to be an object');
+            expect(() => new sgsd.ServerGracefulShutdown(server, {loadShedding: {routes: '/api'}}))
+                .to.throw('loadShedding option routes has to be an array of path prefixes or RegExp');
+            expect(() => new sgsd.ServerGracefulShutdown(server, {loadShedding: {cutoffMilliseconds: -1}}))
+                .to.throw('loadShedding option cutoffMilliseconds has to be a positive number');
+        });
+
+        it('should answer with 503 once terminated and the cutoff elapsed', async function () {
+            await start({cutoffMilliseconds: 30, retryAfterSeconds: 7, excludedRoutes: ['/health', /^\/admin\//]});
+
+            expect((await get('/orders')).body).to.equal('OK');
+
+            test.terminatedAt = Date.now();
+
+            expect((await get('/orders')).body).to.equal('OK');
+
+            await new Promise(resolve => setTimeout(resolve, 40));
+
+            let response = await get('/orders?page=2');
+
+            expect(response.statusCode).to.equal(503);
+            expect(response.headers).to.include({'retry-after': '7', connection: 'close'});
+            expect(response.body).to.equal('SHUTTING-DOWN');
+
+            expect((await get('/health/readiness')).statusCode).to.equal(200);
+            expect((await get('/admin/drain')).statusCode).to.equal(200);
+        });
+
+        it('should only answer the configured routes with 503', async function () {
+            await start({cutoffMilliseconds: 0, routes: ['/api']});
+
+            test.terminatedAt = Date.now();
+
+            expect((await get('/api/orders')).statusCode).to.equal(503);
+            expect((await get('/api')).statusCode).to.equal(503);
+            expect((await get('/apidocs')).statusCode).to.equal(200);
+            expect((await get('/static/app.js')).statusCode).to.equal(200);
+        });
+
+        it('should not shed requests without the load shedding option', async function () {
+            await start(undefined);
+
+            test.terminatedAt = Date.now() - 60 * 1000;
+
+            expect((await get('/orders')).statusCode).to.equal(200);
+        });
+
+        it('should record the termination time on shutdown', function () {
+            sgsd.enable(server, gracefulShutdown);
+
+            let promise = gracefulShutdown.shutdown('SIGTERM');
+
+            expect(gracefulShutdown.terminatedAt).to.be.closeTo(Date.now(), 50);
+
+            return promise;
+        });
+
+    });
+
+    describe(' - work tracking ', function () {
+
+        beforeEach(function () {
+            serverKiller.gracePeriodMilliseconds = 0;
+            sgsd.enable(server, gracefulShutdown);
+        });
+
+        it('should wait for the tracked work once drained and before the finalizers', function () {
+            let calls = [];
+            let token = gracefulShutdown.begin('consumeOrders');
+
+            gracefulShutdown.addFinalizer(async function closeQueue() {
+                calls.push('closeQueue');
+            });
+
+            let work = new Promise(resolve => setTimeout(resolve, 20)).then(() => calls.push('sendMail'));
+
+            expect(gracefulShutdown.track(work, 'sendMail')).to.be.a('promise');
+            expect(serverKiller.workTracker.pending()).to.deep.equal(['consumeOrders', 'sendMail']);
+
+            serverKiller.once('drained', () => {
+                setTimeout(() => {
+                    calls.push('consumeOrders');
+                    token.end();
+                    token.end();
+                }, 30);
+            });
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                expect(calls).to.deep.equal(['sendMail', 'consumeOrders', 'closeQueue']);
+                expect(serverKiller.workTracker.pending()).to.deep.equal([]);
+            });
+        });
+
+        it('should log the pending work once the work timeout is exceeded', function () {
+            let warnings = [];
+            let events = [];
+
+            serverKiller.workTimeoutMilliseconds = 30;
+            serverKiller.log.warn = function (fields) {
+                warnings.push(fields);
+            };
+
+            gracefulShutdown.begin('consumeOrders');
+            gracefulShutdown.track(new Promise(() => {}), 'syncInventory');
+            gracefulShutdown.track(Promise.resolve());
+            gracefulShutdown.on('workDrained', data => events.push(data));
+
+            return gracefulShutdown.terminate('SIGTERM').then(() => {
+                let timeout = warnings.find(fields => fields.event === 'workTimeout');
+
+                expect(timeout.pendingTasks).to.deep.equal(['consumeOrders', 'syncInventory']);
+                expect(events[0]).to.include({tasks: 2, timedOut: true});
+                expect(events[0].pendingTasks).to.deep.equal(['consumeOrders', 'syncInventory']);
+            });
+        });
+
+        it('should end the task and pass the rejection of the tracked work on', function () {
+            let work = Promise.reject(new Error('mail server unavailable'));
+
+            return gracefulShutdown.track(work, 'sendMail').then(() => {
+                throw new Error('the rejection has been swallowed');
+            }, error => {
+                expect(error.message).to.equal('mail server unavailable');
+                expect(serverKiller.workTracker.pending()).to.deep.equal([]);
+            });
+        });
+
+        it('should not report an unhandled rejection for the tracked work handled by the caller', async function () {
+            let rejections = [];
+            let listener = reason => rejections.push(reason);
+            let work = Promise.reject(new Error('mail server unavailable'));
+
+            work.catch(() => {});
+
+            process.on('unhandledRejection', listener);
+
+            try {
+                gracefulShutdown.track(work, 'sendMail');
+
+                await new Promise(resolve => setTimeout(resolve, 10));
+            } finally {
+                process.removeListener('unhandledRejection', listener);
+            }
+
+            expect(rejections).to.deep.equal([]);
+            expect(serverKiller.workTracker.pending()).to.deep.equal([]);
+        });
+
+        it('should throw an error if the tracked work is not a Promise', function () {
+            expect(() => gracefulShutdown.track(function () {}, 'job')).to.throw('tracked work has to be a Promise');
+            expect(() => gracefulShutdown.begin('')).to.throw('tracked work name has to be a non empty string');
+        });
+
+        it('should pass the work timeout to the default killer', function () {
+            let test = new sgsd.ServerGracefulShutdown(server, {workTimeoutMilliseconds: 2000});
+
+            expect(test.killer.workTimeoutMilliseconds).to.equal(2000);
+            expect(new sgsd.ServerKiller({}).workTimeoutMilliseconds).to.equal(10000);
+        });
+
     });
 });
 
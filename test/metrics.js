@@ -0,0 +1,132 @@
+'use strict';
+
+const expect = require('chai').expect;
+const http = require('http');
+const sgsd = require('../index');
+const metrics = require('../lib/metrics');
+
+describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Metrics', function() {
+
+    describe(' - exposition format ', function () {
+
+        it('should render a counter with escaped labels', function () {
+            let counter = new metrics.Counter('failures_total', 'Failures.');
+
+            counter.inc({check: 'check"DB"'});
+            counter.inc({check: 'check"DB"'}, 2);
+
+            expect(counter.render()).to.equal([
+                '# HELP failures_total Failures.',
+                '# TYPE failures_total counter',
+                'failures_total{check="check\\"DB\\""} 3',
+            ].join('\n'));
+        });
+
+        it('should render a histogram with cumulative buckets', function () {
+            let histogram = new metrics.Histogram('duration_seconds', 'Duration.', [0.1, 1]);
+
+            histogram.observe({finalizer: 'flushQueue'}, 0.05);
+            histogram.observe({finalizer: 'flushQueue'}, 0.5);
+            histogram.observe({finalizer: 'flushQueue'}, 2);
+
+            expect(histogram.render()).to.equal([
+                '# HELP duration_seconds Duration.',
+                '# TYPE duration_seconds histogram',
+                'duration_seconds_bucket{finalizer="flushQueue",le="0.1"} 1',
+                'duration_seconds_bucket{finalizer="flushQueue",le="1"} 2',
+                'duration_seconds_bucket{finalizer="flushQueue",le="+Inf"} 3',
+                'duration_seconds_sum{finalizer="flushQueue"} 2.55',
+                'duration_seconds_count{finalizer="flushQueue"} 3',
+            ].join('\n'));
+        });
+
+        it('should render a gauge without labels', function () {
+            let gauge = new metrics.Gauge('connections', 'Connections.');
+
+            gauge.set({}, 4);
+
+            expect(gauge.render()).to.equal('# HELP connections Connections.\n# TYPE connections gauge\nconnections 4');
+        });
+
+    });
+
+    describe(' - graceful shutdown ', function () {
+
+        it('should collect readiness check metrics', async function () {
+            let graceful = new sgsd.ServerGracefulShutdown(http.createServer(), {
+                readinessChecks: [
+                    async function checkDB() {
+                        throw new Error('DB not reachable');
+                    },
+                    async function checkCache() {},
+                ],
+            });
+            let collected = new sgsd.Metrics().observe(graceful);
+
+            await graceful.checkReadiness().catch(() => {});
+
+            let text = collected.render();
+
+            expect(text).to.contain('graceful_shutdown_readiness_check_failures_total{check="checkDB"} 1');
+            expect(text).to.not.contain('graceful_shutdown_readiness_check_failures_total{check="checkCache"}');
+            expect(text).to.contain('graceful_shutdown_readiness_check_duration_seconds_count{check="checkDB"} 1');
+            expect(text).to.contain('graceful_shutdown_readiness_check_duration_seconds_count{check="checkCache"} 1');
+        });
+
+        it('should collect shutdown metrics', async function () {
+            let server = http.createServer();
+            let killer = new sgsd.ServerKiller({gracePeriodMilliseconds: 0});
+            let collected;
+            let pushed;
+
+            killer.destroyServer = function (signal, callback) {
+                this.emit('exit', {signal: signal, exitCode: 143, forced: false, elapsedMilliseconds: this.elapsed()});
+                callback();
+            };
+
+            let graceful = sgsd.enable(server, {
+                killer: killer,
+                finalizers: [
+                    async function flushQueue() {},
+                    async function pushMetrics() {
+                        pushed = collected.render();
+                    },
+                    async function closeDBPool() {
+                        throw new Error('pool already closed');
+                    },
+                ],
+            });
+
+            collected = new sgsd.Metrics({prefix: 'app_'}).observe(graceful);
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            await graceful.terminate('SIGTERM');
+            await graceful.dispose();
+
+            let text = collected.render();
+
+            expect(text).to.contain('app_finalizer_duration_seconds_count{finalizer="flushQueue"} 1');
+            expect(text).to.contain('app_finalizer_duration_seconds_count{finalizer="closeDBPool"} 1');
+            expect(text).to.contain('app_finalizer_failures_total{finalizer="closeDBPool"} 1');
+            expect(text).to.contain('app_drain_duration_seconds_count{server="main"} 1');
+            expect(text).to.contain('app_drain_connections{server="main"} 0');
+            expect(text).to.contain('app_shutdown_duration_seconds_count 1');
+            expect(pushed).to.contain('app_drain_duration_seconds_count{server="main"} 1');
+            expect(pushed).to.contain('app_shutdown_duration_seconds_count 1');
+        });
+
+        it('should report the live drain progress', function () {
+            let graceful = new sgsd.ServerGracefulShutdown(http.createServer());
+            let collected = new sgsd.Metrics({prefix: 'app_'}).observe(graceful);
+
+            graceful.killer.emit('draining', {server: 'main', connections: 5, inFlight: 3});
+            graceful.killer.emit('drainProgress', {server: 'main', connections: 2, inFlight: 1});
+
+            let text = collected.render();
+
+            expect(text).to.contain('app_drain_connections{server="main"} 2');
+            expect(text).to.contain('app_drain_in_flight_requests{server="main"} 1');
+        });
+
+    });
+});
@@ -0,0 +1,275 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const http = require('http');
+const path = require('path');
+const workerThreads = require('worker_threads');
+const sgsd = require('../index');
+
+describe('[' + __filename.substring(__filename.indexOf('/test/') + 1) + '] - Cluster and Worker Threads', function() {
+
+    let FakeWorker = function (id, onMessage) {
+        let worker = new EventEmitter();
+
+        worker.id = id;
+        worker.process = {
+            pid: 1000 + id,
+            kill: (signal) => setImmediate(() => worker.emit('exit', null, signal)),
+        };
+        worker.messages = [];
+        worker.isDead = () => false;
+        worker.send = (message) => {
+            worker.messages.push(message);
+            onMessage(worker, message);
+        };
+
+        return worker;
+    };
+
+    let exitWith = function (code) {
+        return (worker) => setTimeout(() => worker.emit('exit', code, null), 10);
+    };
+
+    describe(' - cluster primary ', function () {
+
+        it('should forward the shutdown to every worker and run the finalizers once they exited', async function () {
+            let calls = [];
+            let workers = {
+                1: FakeWorker(1, exitWith(143)),
+                2: FakeWorker(2, exitWith(0)),
+            };
+
+            workers[1].on('exit', () => calls.push('worker1'));
+            workers[2].on('exit', () => calls.push('worker2'));
+
+            let primary = new sgsd.ClusterPrimary({
+                cluster: {workers: workers},
+                finalizers: [
+                    async function flushMetrics() {
+                        calls.push('flushMetrics');
+                    },
+                ],
+            });
+
+            let report = await primary.shutdown('SIGTERM');
+
+            expect(workers[1].messages).to.deep.equal([{type: 'graceful-shutdown', reason: 'SIGTERM'}]);
+            expect(workers[2].messages).to.deep.equal([{type: 'graceful-shutdown', reason: 'SIGTERM'}]);
+            expect(calls.slice(2)).to.deep.equal(['flushMetrics']);
+            expect(report.exitCode).to.equal(143);
+            expect(report.workers.map(worker => worker.exitCode)).to.deep.equal([143, 0]);
+        });
+
+        it('should kill a worker exceeding the worker timeout and exit with the forced exit code', async function () {
+            let primary = new sgsd.ClusterPrimary({
+                cluster: {workers: {1: FakeWorker(1, () => {}), 2: FakeWorker(2, exitWith(0))}},
+                workerTimeoutMilliseconds: 30,
+            });
+
+            let report = await primary.shutdown('SIGTERM');
+
+            expect(report.workers[0]).to.include({id: 1, timedOut: true, signal: 'SIGKILL'});
+            expect(report.workers[1]).to.include({id: 2, timedOut: false, exitCode: 0});
+            expect(report.exitCode).to.equal(129);
+        });
+
+        it('should exit with the failure exit code when a worker or a finalizer failed', async function () {
+            let primary = new sgsd.ClusterPrimary({cluster: {workers: {1: FakeWorker(1, exitWith(1))}}});
+
+            expect((await primary.shutdown('SIGTERM')).exitCode).to.equal(1);
+
+            primary = new sgsd.ClusterPrimary({
+                cluster: {workers: {}},
+                finalizers: [
+                    async function flushMetrics() {
+                        throw new Error('push gateway not reachable');
+                    },
+                ],
+            });
+
+            expect((await primary.shutdown('SIGTERM')).exitCode).to.equal(1);
+        });
+
+        it('should catch the signal once and exit with the combined status', function (done) {
+            let primary = new sgsd.ClusterPrimary({cluster: {workers: {1: FakeWorker(1, exitWith(0))}}, signals: ['SIGUSR2']});
+            let listeners = process.listenerCount('SIGUSR2');
+
+            primary.exit = function (exitCode) {
+                expect(exitCode).to.equal(128 + 12);
+                expect(primary.terminatedBy).to.equal('SIGUSR2');
+
+                primary.dispose();
+                expect(process.listenerCount('SIGUSR2')).to.equal(listeners);
+
+                done();
+            };
+
+            primary.enable();
+            expect(process.listenerCount('SIGUSR2')).to.equal(listeners + 1);
+
+            process.emit('SIGUSR2');
+        });
+
+        it('should ignore a second shutdown', async function () {
+            let runs = 0;
+            let workers = {1: FakeWorker(1, exitWith(0))};
+            let primary = new sgsd.ClusterPrimary({
+                cluster: {workers: workers},
+                finalizers: [
+                    async function flushMetrics() {
+                        runs++;
+                    },
+                ],
+            });
+
+            let first = primary.shutdown('SIGTERM');
+
+            expect(await primary.shutdown('admin-endpoint')).to.equal(undefined);
+            expect((await first).exitCode).to.equal(143);
+            expect(workers[1].messages).to.deep.equal([{type: 'graceful-shutdown', reason: 'SIGTERM'}]);
+            expect(primary.terminatedBy).to.equal('SIGTERM');
+            expect(runs).to.equal(1);
+        });
+
+        it('should only accept named finalizers once', function () {
+            let primary = new sgsd.ClusterPrimary({cluster: {workers: {}}});
+            let warnings = [];
+
+            primary.log.warn = function (message) {
+                warnings.push(message);
+            };
+
+            primary.addFinalizer(function flushMetrics() {});
+            primary.addFinalizer(function flushMetrics() {});
+
+            expect(() => primary.addFinalizer(() => {})).to.throw('provided function has to be a named function');
+            expect(() => primary.addFinalizer('flushMetrics')).to.throw('provided finalizer is not a function');
+            expect(primary.finalizers.map(finalizer => finalizer.name)).to.deep.equal(['flushMetrics']);
+            expect(warnings).to.deep.equal(['provided function "flushMetrics" already registered - ignoring it']);
+        });
+
+        it('should throw an error if the worker timeout is not a positive number', function () {
+            let test = function () {
+                return new sgsd.ClusterPrimary({workerTimeoutMilliseconds: -1});
+            };
+
+            expect(test).to.throw('workerTimeoutMilliseconds option has to be a positive number');
+        });
+
+    });
+
+    describe(' - cluster worker ', function () {
+
+        it('should start the graceful shutdown when asked by the primary', function (done) {
+            let server = http.createServer();
+            let serverKiller = new sgsd.ServerKiller({gracePeriodMilliseconds: 0});
+            let graceful = new sgsd.ServerGracefulShutdown(server, {killer: serverKiller});
+
+            serverKiller.destroyServer = function (signal, callback) {
+                expect(signal).to.equal('SIGTERM');
+                expect(graceful.isTerminatedBy()).to.equal('SIGTERM');
+
+                callback();
+                graceful.dispose(done);
+            };
+
+            sgsd.enable(server, {handleShutdownMessages: true}, graceful);
+
+            process.emit('message', {type: 'other'});
+            expect(graceful.isTerminated()).to.equal(false);
+
+            process.emit('message', {type: 'graceful-shutdown', reason: 'SIGTERM'});
+        });
+
+        it('should ignore the signal reaching the worker after the message of the primary', async function () {
+            let server = http.createServer();
+            let serverKiller = new sgsd.ServerKiller({gracePeriodMilliseconds: 0});
+            let graceful = new sgsd.ServerGracefulShutdown(server, {killer: serverKiller, delay: 0});
+            let exit = process.exit;
+            let exitCodes = [];
+            let destroyed = new Promise(resolve => serverKiller.destroyServer = (signal, callback) => {
+                callback();
+                resolve();
+            });
+
+            sgsd.enable(server, {signals: ['SIGUSR2'], handleShutdownMessages: true}, graceful);
+
+            process.emit('message', {type: 'graceful-shutdown', reason: 'SIGUSR2'});
+
+            process.exit = function (exitCode) {
+                exitCodes.push(exitCode);
+            };
+
+            try {
+                process.emit('SIGUSR2');
+                expect(exitCodes).to.deep.equal([]);
+
+                // a second signal still forces the exit
+                process.emit('SIGUSR2');
+                expect(exitCodes).to.deep.equal([serverKiller.forcedExitCode]);
+            } finally {
+                process.exit = exit;
+            }
+
+            expect(graceful.isTerminatedBy()).to.equal('SIGUSR2');
+
+            await destroyed;
+            await graceful.dispose();
+        });
+
+    });
+
+    describe(' - worker threads ', function () {
+
+        let startWorker = function (source) {
+            let worker = new workerThreads.Worker(
+                'const sgsd = require(' + JSON.stringify(path.join(__dirname, '..', 'index')) + ');\n' + source,
+                {eval: true}
+            );
+
+            return new Promise(resolve => worker.once('online', () => resolve(worker)));
+        };
+
+        it('should let the worker threads finish their current job', async function () {
+            let worker = await startWorker(`
+                const parentPort = require('worker_threads').parentPort;
+                const job = new Promise(resolve => setTimeout(resolve, 50)).then(() => parentPort.postMessage('job done'));
+
+                sgsd.handleThreadShutdown(() => job);
+            `);
+            let messages = [];
+            let threadId = worker.threadId;
+
+            worker.on('message', message => messages.push(message));
+
+            let results = await sgsd.stopThreads([worker], {timeoutMilliseconds: 5000});
+
+            expect(messages).to.deep.equal(['job done']);
+            expect(results[0]).to.include({threadId: threadId, exitCode: 0, timedOut: false});
+        });
+
+        it('should terminate the worker threads exceeding the timeout', async function () {
+            let worker = await startWorker(`
+                setInterval(() => {}, 1000);
+
+                sgsd.handleThreadShutdown(() => new Promise(() => {}));
+            `);
+
+            let results = await sgsd.stopThreads([worker], {timeoutMilliseconds: 50});
+
+            expect(results[0]).to.include({timedOut: true});
+        });
+
+        it('should not wait for the worker threads already exited', async function () {
+            let worker = await startWorker('');
+
+            await new Promise(resolve => worker.once('exit', resolve));
+
+            let results = await sgsd.stopThreads([worker], {timeoutMilliseconds: 0});
+
+            expect(results[0]).to.deep.equal({threadId: -1, exitCode: undefined, timedOut: false, durationMilliseconds: 0});
+        });
+
+    });
+});